@@ -0,0 +1,342 @@
+/**
+ * Analysis Module
+ * Statistical routines over the emoji data (spike detection in the time
+ * series, distinctive emojis in the country lists, country and message
+ * sentiment profiles, smoothed sentiment scores)
+ */
+
+const Analysis = {
+  // Defaults for detectSpikes
+  SPIKE_DEFAULTS: {
+    window: 7, // Neighboring samples on each side used as the baseline
+    threshold: 3.5, // Minimum robust z-score
+    minRatio: 2, // Minimum usage / baseline ratio
+    minSeparationDays: 14, // Keep only the strongest spike within this gap
+    log: true, // Score on log usage, since usage is heavy-tailed
+  },
+
+  // Scales a MAD to a standard deviation for normally distributed data
+  MAD_SCALE: 1.4826,
+
+  // Cache for scanAllEmojis results
+  allSpikesCache: null,
+
+  // Pseudo-uses in the informative prior of scoreDistinctiveness
+  DISTINCTIVE_PRIOR_STRENGTH: 1000,
+
+  // Pseudo-uses of the global sentiment mix added to every emoji by
+  // smoothSentiment: an emoji's own counts dominate past ~10 uses
+  SENTIMENT_PRIOR_STRENGTH: 10,
+  // Normal quantile for the 95% sentiment intervals
+  SENTIMENT_CI_Z: 1.96,
+
+  /**
+   * Find spikes in a series from DataLoader.loadEmojiTimeSeries.
+   *
+   * Each sample is compared to the rolling median of its neighbors (the
+   * sample itself excluded) and scored in rolling MADs. The series is sampled
+   * irregularly, so the window is a number of samples rather than days.
+   *
+   * Returns [{ date, usage, baseline, ratio, score, emoji, emojiChar }]
+   * sorted by date.
+   */
+  detectSpikes(data, options = {}) {
+    const { window, threshold, minRatio, minSeparationDays, log } = {
+      ...this.SPIKE_DEFAULTS,
+      ...options,
+    };
+
+    const transform = log ? Math.log1p : (v) => v;
+    const untransform = log ? Math.expm1 : (v) => v;
+    const values = data.map((d) => transform(d.usage));
+
+    const candidates = [];
+    data.forEach((d, i) => {
+      if (!d.date || isNaN(d.usage)) return;
+
+      const neighbors = values
+        .slice(Math.max(0, i - window), i)
+        .concat(values.slice(i + 1, i + 1 + window))
+        .filter((v) => !isNaN(v));
+      if (neighbors.length < 3) return;
+
+      const median = d3.median(neighbors);
+      const mad = d3.median(neighbors, (v) => Math.abs(v - median));
+      // A flat neighborhood has MAD 0: fall back to the mean absolute deviation
+      const spread =
+        this.MAD_SCALE * mad ||
+        d3.mean(neighbors, (v) => Math.abs(v - median)) ||
+        Number.EPSILON;
+
+      const score = (values[i] - median) / spread;
+      const baseline = untransform(median);
+      const ratio = baseline > 0 ? d.usage / baseline : Infinity;
+
+      if (score >= threshold && ratio >= minRatio) {
+        candidates.push({
+          date: d.date,
+          usage: d.usage,
+          baseline: baseline,
+          ratio: ratio,
+          score: score,
+          emoji: d.emoji,
+          emojiChar: d.emojiChar,
+        });
+      }
+    });
+
+    // Strongest first, dropping weaker spikes too close to an accepted one
+    const minSeparation = minSeparationDays * 24 * 60 * 60 * 1000;
+    const accepted = [];
+    candidates
+      .sort((a, b) => b.score - a.score)
+      .forEach((candidate) => {
+        const tooClose = accepted.some(
+          (s) => Math.abs(s.date - candidate.date) < minSeparation
+        );
+        if (!tooClose) accepted.push(candidate);
+      });
+
+    return accepted.sort((a, b) => a.date - b.date);
+  },
+
+  /**
+   * Run detectSpikes over every local emoji series.
+   * Returns all spikes sorted by score, strongest first.
+   */
+  async scanAllEmojis(options = {}) {
+    if (this.allSpikesCache && Object.keys(options).length === 0) {
+      return this.allSpikesCache;
+    }
+
+    const results = await Promise.all(
+      DataLoader.emojiList.map(async (slug) => {
+        const data = await DataLoader.loadEmojiTimeSeries(slug);
+        return this.detectSpikes(data, options);
+      })
+    );
+
+    const spikes = results.flat().sort((a, b) => b.score - a.score);
+    if (Object.keys(options).length === 0) this.allSpikesCache = spikes;
+    return spikes;
+  },
+
+  /**
+   * Score how over- or under-represented each emoji is in one country
+   * against all the other countries pooled, using the weighted log-odds
+   * ratio with an informative Dirichlet prior (Monroe, Colaresi & Quinn,
+   * "Fightin' Words", 2008).
+   *
+   * `countries` maps country codes to DataLoader.loadCountryData lists.
+   * The other countries are pooled with equal weight (each rescaled to
+   * their mean total), so the US, with most of all uses, doesn't become the
+   * baseline by itself. The lists stop at 1000 emojis: an emoji missing from
+   * one is counted at that list's smallest count, an upper bound, which
+   * understates rather than inflates its under-representation.
+   *
+   * Returns [{ emoji, key, listed, count, otherCount, baseline, share,
+   * baselineShare, logOdds, score }] sorted by score, a z-score (positive =
+   * used more than elsewhere). `otherCount` is the raw pooled count and
+   * `baseline` the equal-weight one the score uses.
+   */
+  scoreDistinctiveness(countries, countryCode) {
+    const lists = Array.from(countries, ([code, data]) => ({
+      code,
+      counts: new Map(data.map((d) => [d.key, d.occurrences])),
+      floor: d3.min(data, (d) => d.occurrences),
+      total: d3.sum(data, (d) => d.occurrences),
+    }));
+    const target = lists.find((list) => list.code === countryCode);
+    const others = lists.filter((list) => list.code !== countryCode);
+    const otherScale = d3.mean(others, (list) => list.total);
+    const countIn = (list, key) =>
+      list.counts.has(key) ? list.counts.get(key) : list.floor;
+
+    const emojis = new Map();
+    countries.forEach((data) =>
+      data.forEach((d) => emojis.has(d.key) || emojis.set(d.key, d.emoji))
+    );
+
+    const rows = Array.from(emojis, ([key, emoji]) => ({
+      emoji,
+      key,
+      listed: target.counts.has(key),
+      count: countIn(target, key),
+      otherCount: d3.sum(others, (list) => countIn(list, key)),
+      baseline: d3.sum(
+        others,
+        (list) => (countIn(list, key) / list.total) * otherScale
+      ),
+      // Prior: the emoji's mean share across all countries
+      prior: d3.mean(lists, (list) => countIn(list, key) / list.total),
+    }));
+
+    // Totals after imputing the missing counts
+    const n = d3.sum(rows, (d) => d.count);
+    const nBaseline = d3.sum(rows, (d) => d.baseline);
+    const priorTotal = d3.sum(rows, (d) => d.prior);
+    const alpha0 = this.DISTINCTIVE_PRIOR_STRENGTH;
+
+    return rows
+      .map(({ prior, ...d }) => {
+        const alpha = (alpha0 * prior) / priorTotal;
+        const logOdds =
+          Math.log((d.count + alpha) / (n + alpha0 - d.count - alpha)) -
+          Math.log(
+            (d.baseline + alpha) / (nBaseline + alpha0 - d.baseline - alpha)
+          );
+        const variance = 1 / (d.count + alpha) + 1 / (d.baseline + alpha);
+
+        return {
+          ...d,
+          share: d.count / n,
+          baselineShare: d.baseline / nBaseline,
+          logOdds,
+          score: logOdds / Math.sqrt(variance),
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  },
+
+  /**
+   * Bayesian-smoothed sentiment for the lexicon rows
+   * (DataLoader.loadSentimentData).
+   *
+   * The raw score (positive - negative) / occurrences puts an emoji seen
+   * three times at ±1. Here each emoji's negative/neutral/positive counts
+   * get a Dirichlet prior centred on the global mix (all uses pooled), so
+   * the score is shrunk towards the global mean, the more so the rarer the
+   * emoji. The interval is the posterior mean ± z standard deviations,
+   * clamped to [-1, 1].
+   *
+   * Returns copies of the rows with { smoothedScore, scoreLow, scoreHigh }.
+   */
+  smoothSentiment(rows, strength = this.SENTIMENT_PRIOR_STRENGTH) {
+    const total = d3.sum(rows, (d) => d.occurrences);
+    const priorPositive = d3.sum(rows, (d) => d.positive) / total;
+    const priorNegative = d3.sum(rows, (d) => d.negative) / total;
+    const z = this.SENTIMENT_CI_Z;
+
+    return rows.map((d) => {
+      const n = d.occurrences + strength;
+      const positive = (d.positive + strength * priorPositive) / n;
+      const negative = (d.negative + strength * priorNegative) / n;
+      const score = positive - negative;
+      // Var(p+ - p-) under the posterior Dirichlet
+      const sd = Math.sqrt(
+        (positive * (1 - positive) +
+          negative * (1 - negative) +
+          2 * positive * negative) /
+          (n + 1)
+      );
+
+      return {
+        ...d,
+        smoothedScore: score,
+        scoreLow: Math.max(-1, score - z * sd),
+        scoreHigh: Math.min(1, score + z * sd),
+      };
+    });
+  },
+
+  /**
+   * Emojis in a piece of text, counted per canonical key in order of first
+   * appearance: [{ emoji, key, occurrences }], ready for profileSentiment.
+   *
+   * The text is split into grapheme clusters, so ZWJ sequences, flags,
+   * keycaps and skin tones stay whole. A cluster counts if it is an emoji
+   * by its Unicode properties or `include` accepts it (e.g. a symbol the
+   * lexicon scores).
+   */
+  extractEmojis(text, include = () => false) {
+    const segments =
+      typeof Intl !== 'undefined' && Intl.Segmenter
+        ? Array.from(
+            new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(
+              text
+            ),
+            (s) => s.segment
+          )
+        : Array.from(text); // Code points: sequences come apart
+
+    const found = new Map();
+    segments.forEach((segment) => {
+      if (!EmojiRegistry.isEmoji(segment) && !include(segment)) return;
+
+      const key = EmojiRegistry.toKey(segment);
+      if (!found.has(key)) {
+        found.set(key, { emoji: segment, key, occurrences: 0 });
+      }
+      found.get(key).occurrences += 1;
+    });
+    return Array.from(found.values());
+  },
+
+  /**
+   * Emotional profile of one country's list (DataLoader.loadCountryData),
+   * or of a message's emojis (extractEmojis), from the sentiment lexicon
+   * (DataLoader.loadSentimentData).
+   *
+   * Emojis are joined by canonical key, falling back to the key without
+   * skin tones (the lexicon predates them). Each covered emoji counts with
+   * the country's uses of it: `meanSentiment` is the usage-weighted mean
+   * score, and `negative`/`neutral`/`positive` the usage-weighted mean of
+   * its lexicon proportions (they sum to 1). `coverage` is the share of the
+   * country's uses that have a lexicon entry; uncovered emojis are left out
+   * of every other figure.
+   *
+   * `contributions` lists the covered emojis by how far they pull the mean
+   * ({ emoji, key, lexiconEmoji, occurrences, sentimentScore, contribution },
+   * summing to `meanSentiment`).
+   *
+   * `scoreField` picks the lexicon score, e.g. 'smoothedScore' for rows
+   * from smoothSentiment.
+   */
+  profileSentiment(countryData, lexicon, scoreField = 'sentimentScore') {
+    const byKey = new Map(lexicon.map((d) => [d.key, d]));
+    const byBaseKey = new Map();
+    lexicon.forEach((d) => {
+      const baseKey = EmojiRegistry.toBaseKey(d.key);
+      if (!byBaseKey.has(baseKey)) byBaseKey.set(baseKey, d);
+    });
+
+    const covered = [];
+    countryData.forEach((d) => {
+      const entry =
+        byKey.get(d.key) || byBaseKey.get(EmojiRegistry.toBaseKey(d.key));
+      if (entry) covered.push({ ...d, entry });
+    });
+
+    const total = d3.sum(countryData, (d) => d.occurrences);
+    const coveredTotal = d3.sum(covered, (d) => d.occurrences);
+    // Usage-weighted mean of a per-emoji value over the covered emojis
+    const weighted = (value) =>
+      coveredTotal > 0
+        ? d3.sum(covered, (d) => d.occurrences * value(d.entry)) / coveredTotal
+        : null;
+    const share = (field) =>
+      weighted((entry) => entry[field] / entry.occurrences);
+
+    return {
+      total,
+      coveredTotal,
+      coverage: total > 0 ? coveredTotal / total : 0,
+      emojiCount: countryData.length,
+      coveredCount: covered.length,
+      meanSentiment: weighted((entry) => entry[scoreField]),
+      negative: share('negative'),
+      neutral: share('neutral'),
+      positive: share('positive'),
+      contributions: covered
+        .map((d) => ({
+          emoji: d.emoji,
+          key: d.key,
+          lexiconEmoji: d.entry.emoji,
+          occurrences: d.occurrences,
+          sentimentScore: d.entry[scoreField],
+          contribution: (d.occurrences * d.entry[scoreField]) / coveredTotal,
+        }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)),
+    };
+  },
+};
@@ -0,0 +1,474 @@
+/**
+ * Chart Export Module
+ * Saves rendered D3 charts as standalone SVG files or rasterized PNGs,
+ * with a title block and legend so they can be dropped into slides
+ */
+
+const ChartExport = {
+  // PNG resolution multipliers offered in the export controls
+  SCALES: [1, 2, 3, 4],
+
+  // Appended to every font stack so emoji glyphs render outside the page
+  EMOJI_FONTS:
+    "'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', 'Twemoji Mozilla', sans-serif",
+
+  // Presentation properties copied from computed styles into the export
+  STYLE_PROPERTIES: [
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'stroke-linecap',
+    'stroke-linejoin',
+    'opacity',
+    'visibility',
+    'color',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'dominant-baseline',
+  ],
+
+  // Initial values of the STYLE_PROPERTIES that children don't inherit
+  NON_INHERITED_DEFAULTS: {
+    opacity: '1',
+  },
+
+  TITLE_FONT: 'Fredoka',
+  BODY_FONT: 'Nunito',
+  BACKGROUND: '#ffffff',
+
+  // Embedded @font-face CSS (a promise, fetched once)
+  fontCss: null,
+
+  /**
+   * Add SVG/PNG export buttons to a chart container.
+   * `title`, `subtitle` and `legend` ([{ label, color }]) may be functions,
+   * evaluated at export time so they reflect the current filters.
+   * `data`, a function returning a DataExport dataset, adds CSV/JSON buttons.
+   */
+  addControls(container, options = {}) {
+    const element =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+    if (!element) return;
+
+    d3.select(element).selectAll(':scope > .chart-export').remove();
+
+    const controls = d3
+      .select(element)
+      .append('div')
+      .attr('class', 'chart-export');
+
+    controls.append('span').attr('class', 'chart-export-label').text('Export');
+
+    controls
+      .append('button')
+      .attr('type', 'button')
+      .attr('class', 'chart-export-btn')
+      .text('SVG')
+      .on('click', () => this.exportChart(element, 'svg', options));
+
+    const scaleSelect = controls
+      .append('select')
+      .attr('class', 'chart-export-scale')
+      .attr('title', 'PNG resolution');
+
+    scaleSelect
+      .selectAll('option')
+      .data(this.SCALES)
+      .enter()
+      .append('option')
+      .attr('value', (d) => d)
+      .property('selected', (d) => d === 2)
+      .text((d) => `${d}×`);
+
+    controls
+      .append('button')
+      .attr('type', 'button')
+      .attr('class', 'chart-export-btn')
+      .text('PNG')
+      .on('click', () =>
+        this.exportChart(element, 'png', {
+          ...options,
+          scale: +scaleSelect.property('value'),
+        })
+      );
+
+    if (!options.data) return;
+
+    controls.append('span').attr('class', 'chart-export-divider');
+
+    ['csv', 'json'].forEach((format) =>
+      controls
+        .append('button')
+        .attr('type', 'button')
+        .attr('class', 'chart-export-btn')
+        .attr('title', 'Download the plotted data')
+        .text(format.toUpperCase())
+        .on('click', () => {
+          const filename = this.getFilename(options);
+          DataExport.download(options.data(), format, `${filename}-data`);
+        })
+    );
+  },
+
+  /**
+   * Export the first SVG inside a container
+   */
+  async exportChart(container, format, options = {}) {
+    const svgNode = options.getSvg
+      ? options.getSvg()
+      : container.querySelector('svg');
+    if (!svgNode) return;
+
+    const title = this.resolveOption(options.title) || '';
+    const subtitle = this.resolveOption(options.subtitle) || '';
+    const legend = this.resolveOption(options.legend) || [];
+    const filename = this.getFilename(options);
+
+    try {
+      const { markup, width, height } = await this.buildStandaloneSvg(svgNode, {
+        title,
+        subtitle,
+        legend,
+      });
+
+      if (format === 'png') {
+        const blob = await this.rasterize(
+          markup,
+          width,
+          height,
+          options.scale || 1
+        );
+        this.download(blob, `${filename}.png`);
+      } else {
+        const blob = new Blob([markup], {
+          type: 'image/svg+xml;charset=utf-8',
+        });
+        this.download(blob, `${filename}.svg`);
+      }
+    } catch (error) {
+      console.error('Error exporting chart:', error);
+    }
+  },
+
+  /**
+   * Serialize a chart as a self-contained SVG document: computed styles are
+   * inlined, web fonts embedded, and a title/legend header is added on top.
+   * Returns { markup, width, height }.
+   */
+  async buildStandaloneSvg(svgNode, { title, subtitle, legend } = {}) {
+    const size = this.getSize(svgNode);
+    const padding = 20;
+
+    const clone = svgNode.cloneNode(true);
+    this.inlineStyles(svgNode, clone);
+    clone.setAttribute('x', 0);
+    clone.setAttribute('width', size.width);
+    clone.setAttribute('height', size.height);
+    if (!clone.getAttribute('viewBox')) {
+      clone.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+    }
+
+    const root = d3.create('svg');
+    root
+      .append('defs')
+      .append('style')
+      .text(await this.getFontCss());
+
+    const background = root.append('rect').attr('fill', this.BACKGROUND);
+    const header = root
+      .append('g')
+      .attr('transform', `translate(${padding},0)`);
+
+    // Header rows stack downward; headerHeight tracks the next baseline
+    let headerHeight = padding;
+    if (title) {
+      headerHeight += 22;
+      header
+        .append('text')
+        .attr('y', headerHeight)
+        .attr('font-family', `${this.TITLE_FONT}, ${this.EMOJI_FONTS}`)
+        .attr('font-size', 22)
+        .attr('font-weight', 600)
+        .attr('fill', '#2d3436')
+        .text(title);
+    }
+    if (subtitle) {
+      headerHeight += 20;
+      header
+        .append('text')
+        .attr('y', headerHeight)
+        .attr('font-family', `${this.BODY_FONT}, ${this.EMOJI_FONTS}`)
+        .attr('font-size', 13)
+        .attr('fill', '#636e72')
+        .text(subtitle);
+    }
+    if (legend.length > 0) {
+      headerHeight = this.drawLegend(
+        header,
+        legend,
+        headerHeight + 24,
+        size.width - padding * 2
+      );
+    }
+    headerHeight += title || subtitle || legend.length ? padding / 2 : 0;
+
+    clone.setAttribute('y', headerHeight);
+    root.node().appendChild(clone);
+
+    const width = size.width;
+    const height = size.height + headerHeight;
+    root
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`);
+    background.attr('width', width).attr('height', height);
+
+    const markup =
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      new XMLSerializer().serializeToString(root.node());
+
+    return { markup, width, height };
+  },
+
+  /**
+   * Draw legend swatches in a row, wrapping when wider than maxWidth.
+   * Returns the baseline of the last row.
+   */
+  drawLegend(header, legend, baseline, maxWidth) {
+    const fontSize = 13;
+    let x = 0;
+    let y = baseline;
+
+    legend.forEach(({ label, color }) => {
+      // Rough width estimate; exact text metrics aren't needed for spacing
+      const itemWidth = 12 + 6 + label.length * fontSize * 0.6 + 18;
+      if (x > 0 && x + itemWidth > maxWidth) {
+        x = 0;
+        y += 20;
+      }
+
+      const item = header.append('g').attr('transform', `translate(${x},${y})`);
+      item
+        .append('rect')
+        .attr('y', -10)
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('rx', 2)
+        .attr('fill', color);
+      item
+        .append('text')
+        .attr('x', 18)
+        .attr('font-family', `${this.BODY_FONT}, ${this.EMOJI_FONTS}`)
+        .attr('font-size', fontSize)
+        .attr('fill', '#2d3436')
+        .text(label);
+
+      x += itemWidth;
+    });
+
+    return y;
+  },
+
+  /**
+   * Copy computed presentation styles from a rendered SVG onto its clone,
+   * so the export doesn't depend on the page's stylesheets
+   */
+  inlineStyles(source, clone) {
+    const sourceNodes = [source, ...source.querySelectorAll('*')];
+    const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+    const resolved = new Map();
+
+    sourceNodes.forEach((node, i) => {
+      const target = cloneNodes[i];
+      const computed = window.getComputedStyle(node);
+
+      if (computed.display === 'none') {
+        target.remove();
+        return;
+      }
+
+      const values = {};
+      this.STYLE_PROPERTIES.forEach((property) => {
+        values[property] = computed.getPropertyValue(property);
+      });
+      if (values['font-family'] && !/emoji/i.test(values['font-family'])) {
+        // Emoji fonts go ahead of the generic family, which may lack them
+        values['font-family'] = `${values['font-family'].replace(
+          /,\s*(sans-serif|serif)\s*$/,
+          ''
+        )}, ${this.EMOJI_FONTS}`;
+      }
+      resolved.set(node, values);
+
+      // Skip values the element would inherit or default to anyway; the
+      // sentiment chart alone has thousands of elements
+      const parentValues =
+        node === source ? null : resolved.get(node.parentNode);
+      const declarations = this.STYLE_PROPERTIES.filter((property) => {
+        const value = values[property];
+        if (!value) return false;
+        if (property in this.NON_INHERITED_DEFAULTS) {
+          return value !== this.NON_INHERITED_DEFAULTS[property];
+        }
+        return !parentValues || parentValues[property] !== value;
+      }).map((property) => `${property}: ${values[property]}`);
+
+      if (declarations.length > 0) {
+        target.setAttribute('style', declarations.join('; '));
+      } else {
+        target.removeAttribute('style');
+      }
+      // Interaction hints mean nothing in a static file
+      target.removeAttribute('cursor');
+      target.removeAttribute('pointer-events');
+    });
+  },
+
+  /**
+   * Rendered size of an SVG, preferring its viewBox
+   */
+  getSize(svgNode) {
+    const viewBox = svgNode.viewBox && svgNode.viewBox.baseVal;
+    if (viewBox && viewBox.width > 0 && viewBox.height > 0) {
+      return { width: viewBox.width, height: viewBox.height };
+    }
+
+    const rect = svgNode.getBoundingClientRect();
+    return {
+      width: parseFloat(svgNode.getAttribute('width')) || rect.width,
+      height: parseFloat(svgNode.getAttribute('height')) || rect.height,
+    };
+  },
+
+  /**
+   * @font-face rules for the page's Google Fonts with the font files inlined
+   * as data URLs. An SVG loaded as an image can't fetch external fonts, so
+   * without this the PNG falls back to system fonts. Only the latin subset is
+   * embedded to keep files small; emoji come from the system emoji fonts.
+   */
+  getFontCss() {
+    if (!this.fontCss) {
+      this.fontCss = this.embedFonts().catch((error) => {
+        console.warn('Exporting without embedded fonts:', error);
+        return '';
+      });
+    }
+    return this.fontCss;
+  },
+
+  async embedFonts() {
+    const link = document.querySelector('link[href*="fonts.googleapis.com"]');
+    if (!link) return '';
+
+    const response = await fetch(link.href);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const css = await response.text();
+
+    // Google Fonts labels each @font-face block with its subset
+    const blocks = [
+      ...css.matchAll(/\/\*\s*([\w-]+)\s*\*\/\s*(@font-face\s*{[^}]*})/g),
+    ]
+      .filter(([, subset]) => subset === 'latin')
+      .map(([, , block]) => block);
+
+    const inlined = await Promise.all(
+      blocks.map(async (block) => {
+        const match = block.match(/url\(([^)]+)\)/);
+        if (!match) return block;
+        const dataUrl = await this.toDataUrl(match[1].replace(/['"]/g, ''));
+        return block.replace(match[0], `url(${dataUrl})`);
+      })
+    );
+
+    return inlined.join('\n');
+  },
+
+  async toDataUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  /**
+   * Draw SVG markup onto a canvas at `scale` times its size.
+   * Resolves with a PNG blob.
+   */
+  rasterize(markup, width, height, scale = 1) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+
+        canvas.toBlob((blob) =>
+          blob ? resolve(blob) : reject(new Error('Canvas export failed'))
+        );
+      };
+      image.onerror = () => reject(new Error('Could not render SVG'));
+      image.src =
+        'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    });
+  },
+
+  /**
+   * Save a blob through a temporary link
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * Options may be given as values or as functions evaluated at export time
+   */
+  resolveOption(value) {
+    return typeof value === 'function' ? value() : value;
+  },
+
+  /**
+   * Download name (without extension) for a chart's exports
+   */
+  getFilename(options) {
+    return (
+      options.filename ||
+      this.toFilename(this.resolveOption(options.title) || '') ||
+      'chart'
+    );
+  },
+
+  /**
+   * "Top 20 emojis in France 🇫🇷" -> "top-20-emojis-in-france"
+   */
+  toFilename(title) {
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+};
@@ -0,0 +1,491 @@
+/**
+ * Chat Analyzer Module
+ * Counts the emojis in a chat export per sender, entirely in the browser,
+ * and ranks the tracked countries by how close their usage is
+ */
+
+const ChatAnalyzer = {
+  metric: 'cosine', // Key of CountrySimilarity.METRICS
+  TOP_N: 50, // Emojis per list compared, as in the similarity matrix
+  sender: '', // Selected sender; '' counts everyone
+  fileName: '',
+  FORMATS: {
+    whatsapp: 'WhatsApp',
+    telegram: 'Telegram',
+    text: 'plain text',
+  },
+  // A WhatsApp message line: "[31/12/2020, 21:41:05] Name: text" (iOS) or
+  // "12/31/20, 9:41 PM - Name: text" (Android); the date order and
+  // separators follow the phone's locale
+  WHATSAPP_LINE:
+    /^\[?(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\s?[ap]\.?\s?m\.?)?)\]?\s*(?:-\s*)?(.*)$/i,
+  // Direction marks WhatsApp puts around names and system messages
+  BIDI_MARKS: /[\u200e\u200f\u202a-\u202e]/g,
+  senders: new Map(), // Sender ('' for everyone) -> [{ emoji, key, occurrences }]
+  countryProfiles: null, // Country code -> CountrySimilarity profile, built once
+  matches: [], // [{ code, value, shared }] for the selected sender, best first
+  tooltip: null,
+
+  init() {
+    console.log('Initializing Chat Analyzer...');
+
+    this.populateControls();
+    $('#chat-sender').select2({
+      width: '240px',
+      minimumResultsForSearch: 10,
+    });
+    $('#chat-metric').select2({
+      width: '220px',
+      minimumResultsForSearch: Infinity,
+    });
+
+    let tooltip = d3.select('#chat-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'chat-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    this.attachEventListeners();
+    this.update();
+  },
+
+  populateControls() {
+    const metric = document.getElementById('chat-metric');
+    Object.entries(CountrySimilarity.METRICS).forEach(([key, config]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.text = config.label;
+      option.selected = key === this.metric;
+      metric.appendChild(option);
+    });
+  },
+
+  /**
+   * One option per sender, most emojis first, after "Everyone"
+   */
+  populateSenders() {
+    const select = document.getElementById('chat-sender');
+    select.innerHTML = '';
+
+    const total = (data) => d3.sum(data, (d) => d.occurrences);
+    const senders = Array.from(this.senders).sort(
+      ([a, dataA], [b, dataB]) =>
+        (b === '') - (a === '') || total(dataB) - total(dataA)
+    );
+    senders.forEach(([sender, data]) => {
+      const option = document.createElement('option');
+      option.value = sender;
+      option.text = `${sender || 'Everyone'} (${total(data).toLocaleString()} emojis)`;
+      select.appendChild(option);
+    });
+
+    this.sender = '';
+    $('#chat-sender')
+      .val(this.sender)
+      .prop('disabled', senders.length <= 2)
+      .trigger('change.select2');
+  },
+
+  attachEventListeners() {
+    $('#chat-file').on('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.loadFile(file);
+    });
+
+    // Use jQuery events to support Select2
+    $('#chat-sender').on('change', (e) => {
+      this.sender = e.target.value;
+      this.update();
+    });
+    $('#chat-metric').on('change', (e) => {
+      this.metric = e.target.value;
+      this.update();
+    });
+  },
+
+  /**
+   * Read a chat export and count its emojis. The file is read locally and
+   * never sent anywhere.
+   */
+  async loadFile(file) {
+    this.setStatus(`Reading ${file.name}...`);
+    try {
+      const text = await file.text();
+      const { format, messages } = this.parseChat(text, file.name);
+      this.senders = this.countEmojis(messages);
+      this.fileName = file.name;
+
+      const people = this.senders.size - 1;
+      this.setStatus(
+        `${messages.length.toLocaleString()} message${
+          messages.length === 1 ? '' : 's'
+        } from ${
+          format === 'text'
+            ? 'one text'
+            : `${people} sender${people === 1 ? '' : 's'}`
+        } (${this.FORMATS[format]})`
+      );
+    } catch (error) {
+      console.error('Error reading chat export:', error);
+      this.senders = new Map([['', []]]);
+      this.fileName = '';
+      this.setStatus(`Could not read ${file.name}: ${error.message}`, true);
+    }
+
+    this.populateSenders();
+    this.update();
+  },
+
+  setStatus(text, isError = false) {
+    d3.select('#chat-status').classed('error', isError).text(text);
+  },
+
+  /**
+   * Split an export into messages: [{ sender, text }]. The format is taken
+   * from the file: Telegram exports are JSON, WhatsApp lines start with a
+   * timestamp, anything else is one block of text with no sender.
+   */
+  parseChat(text, fileName = '') {
+    if (/\.json$/i.test(fileName) || text.trimStart().startsWith('{')) {
+      return { format: 'telegram', messages: this.parseTelegram(text) };
+    }
+
+    // WhatsApp if most of the first lines carry a timestamp
+    const sample = text
+      .split(/\r?\n/)
+      .map((line) => line.replace(this.BIDI_MARKS, ''))
+      .filter((line) => line.trim())
+      .slice(0, 50);
+    const stamped = sample.filter((line) => this.WHATSAPP_LINE.test(line));
+    if (sample.length > 0 && stamped.length >= sample.length / 2) {
+      return { format: 'whatsapp', messages: this.parseWhatsApp(text) };
+    }
+
+    return { format: 'text', messages: [{ sender: null, text }] };
+  },
+
+  /**
+   * WhatsApp "Export chat" text. Lines without a timestamp continue the
+   * message before them; system messages ("Alice added Bob") have no sender.
+   */
+  parseWhatsApp(text) {
+    const messages = [];
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.replace(this.BIDI_MARKS, '');
+      const match = line.match(this.WHATSAPP_LINE);
+      if (!match) {
+        if (messages.length > 0) {
+          messages[messages.length - 1].text += `\n${line}`;
+        }
+        return;
+      }
+
+      const body = match[3];
+      const separator = body.indexOf(': ');
+      messages.push(
+        separator > 0
+          ? {
+              sender: body.slice(0, separator).trim(),
+              text: body.slice(separator + 2),
+            }
+          : { sender: null, text: body }
+      );
+    });
+    return messages;
+  },
+
+  /**
+   * Telegram Desktop export (result.json): one chat's `messages`, or every
+   * chat under `chats.list` for a full account export. Formatted text is
+   * an array of strings and { type, text } pieces.
+   */
+  parseTelegram(text) {
+    const data = JSON.parse(text);
+    const chats = data.chats?.list || [data];
+    if (!chats.some((chat) => Array.isArray(chat.messages))) {
+      throw new Error('no messages found in this JSON file');
+    }
+
+    const flatten = (value) =>
+      Array.isArray(value)
+        ? value
+            .map((part) => (typeof part === 'string' ? part : part.text || ''))
+            .join('')
+        : value || '';
+
+    return chats.flatMap((chat) =>
+      (chat.messages || [])
+        .filter((message) => message.type === 'message')
+        .map((message) => ({
+          sender: message.from || message.from_id || null,
+          text: flatten(message.text),
+        }))
+    );
+  },
+
+  /**
+   * Emoji counts per sender, plus everyone's under '': Map sender ->
+   * [{ emoji, key, occurrences }] sorted like a country's list. Messages
+   * with no sender count only towards everyone.
+   */
+  countEmojis(messages) {
+    const texts = d3.rollup(
+      messages,
+      (group) => group.map((m) => m.text).join('\n'),
+      (m) => m.sender
+    );
+
+    const everyone = new Map();
+    const senders = new Map([['', []]]);
+    texts.forEach((text, sender) => {
+      const counts = Analysis.extractEmojis(text);
+      counts.forEach((d) => {
+        const total = everyone.get(d.key) || { ...d, occurrences: 0 };
+        total.occurrences += d.occurrences;
+        everyone.set(d.key, total);
+      });
+      if (sender !== null && counts.length > 0) {
+        senders.set(sender, this.sortByUses(counts));
+      }
+    });
+    senders.set('', this.sortByUses(Array.from(everyone.values())));
+    return senders;
+  },
+
+  sortByUses(data) {
+    return data.sort((a, b) => b.occurrences - a.occurrences);
+  },
+
+  async update() {
+    const topChart = document.getElementById('chat-top-chart');
+    const matchChart = document.getElementById('chat-match-chart');
+    if (!topChart || !matchChart) return;
+
+    const data = this.senders.get(this.sender) || [];
+    if (data.length === 0) {
+      const message = this.fileName
+        ? 'No emojis found for this sender.'
+        : 'Load a chat export to see your top 20 emojis.';
+      topChart.innerHTML = `<p class="chat-empty">${message}</p>`;
+      matchChart.innerHTML = '';
+      d3.select('#chat-match-summary').text('');
+      this.matches = [];
+      return;
+    }
+
+    const label = this.sender || 'Everyone';
+    Visualizations.renderCountryChart('chat-top-chart', data, label, {
+      title: `Top 20 emojis (${label})`,
+      subtitle: `${this.fileName} · ${d3.sum(data, (d) => d.occurrences).toLocaleString()} emojis`,
+      sources: [this.fileName],
+    });
+
+    if (!this.countryProfiles) {
+      matchChart.innerHTML = '<div class="loading-spinner">Loading...</div>';
+      this.countryProfiles = await this.loadCountryProfiles();
+    }
+    if (this.countryProfiles.size === 0) {
+      matchChart.innerHTML =
+        '<div style="text-align:center; padding: 20px; color: red;">Failed to load data.</div>';
+      return;
+    }
+
+    this.matches = this.rankCountries(data);
+    this.renderMatches(matchChart);
+  },
+
+  async loadCountryProfiles() {
+    const countries = await DataLoader.loadAllCountryData();
+    return new Map(
+      Array.from(countries, ([code, data]) => [
+        code,
+        CountrySimilarity.buildProfile(data),
+      ])
+    );
+  },
+
+  /**
+   * Similarity of a personal list to every country, over the emojis in
+   * either top N (as CountrySimilarity.computeMatrix), best match first
+   */
+  rankCountries(data) {
+    const personal = CountrySimilarity.buildProfile(data);
+    const topPersonal = new Set(personal.sorted.slice(0, this.TOP_N));
+
+    return Array.from(this.countryProfiles, ([code, profile]) => {
+      const topCountry = new Set(profile.sorted.slice(0, this.TOP_N));
+      const union = Array.from(new Set([...topPersonal, ...topCountry]));
+      const shared = union.filter(
+        (key) => topPersonal.has(key) && topCountry.has(key)
+      ).length;
+      return {
+        code,
+        value: CountrySimilarity.similarity(
+          this.metric,
+          personal,
+          profile,
+          union,
+          shared
+        ),
+        shared,
+      };
+    }).sort((a, b) => b.value - a.value);
+  },
+
+  /**
+   * Horizontal bars, one per country, best match on top
+   */
+  renderMatches(container) {
+    container.innerHTML = '';
+
+    const { matches, tooltip } = this;
+    const config = CountrySimilarity.METRICS[this.metric];
+    const format = d3.format('.2f');
+    const best = matches[0];
+    const bestInfo = DataLoader.COUNTRIES[best.code];
+    d3.select('#chat-match-summary').text(
+      `${this.sender || 'This chat'} uses emojis most like ${bestInfo.flag} ${
+        bestInfo.name
+      } (${format(best.value)}).`
+    );
+
+    const margin = { top: 10, right: 50, bottom: 30, left: 150 };
+    const rowHeight = 32;
+    const outerWidth = container.clientWidth || 480;
+    const width = outerWidth - margin.left - margin.right;
+    const height = matches.length * rowHeight;
+    const outerHeight = height + margin.top + margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', outerHeight)
+      .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const y = d3
+      .scaleBand()
+      .domain(matches.map((d) => d.code))
+      .range([0, height])
+      .padding(0.25);
+
+    // Rank correlations can be negative
+    const x = d3
+      .scaleLinear()
+      .domain([
+        Math.min(
+          0,
+          d3.min(matches, (d) => d.value)
+        ),
+        1,
+      ])
+      .range([0, width]);
+
+    svg
+      .append('g')
+      .attr('class', 'axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(x).ticks(5));
+
+    const rows = svg
+      .selectAll('.chat-match-row')
+      .data(matches, (d) => d.code)
+      .enter()
+      .append('g')
+      .attr('class', 'chat-match-row')
+      .classed('best', (d) => d === best)
+      .attr('transform', (d) => `translate(0,${y(d.code)})`);
+
+    rows
+      .append('text')
+      .attr('class', 'chat-match-label')
+      .attr('x', -12)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .text((d) => {
+        const info = DataLoader.COUNTRIES[d.code];
+        return `${info.flag} ${info.name}`;
+      });
+
+    rows
+      .append('rect')
+      .attr('class', 'chat-match-bar')
+      .attr('x', (d) => x(Math.min(0, d.value)))
+      .attr('width', (d) => Math.abs(x(d.value) - x(0)))
+      .attr('height', y.bandwidth());
+
+    rows
+      .append('text')
+      .attr('class', 'chat-match-value')
+      .attr('x', (d) => x(Math.max(0, d.value)) + 6)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .text((d) => format(d.value));
+
+    rows
+      .on('mouseenter', (event, d) => {
+        const info = DataLoader.COUNTRIES[d.code];
+        tooltip.style('opacity', 1).html(
+          `<div style="text-align: center;">
+              <div><strong>${info.flag} ${info.name}</strong></div>
+              <div>${config.label}: <strong>${format(d.value)}</strong></div>
+              <div>${d.shared} emojis in both top ${this.TOP_N} lists</div>
+            </div>`
+        );
+      })
+      .on('mousemove', (event) => {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', () => tooltip.style('opacity', 0));
+
+    ChartExport.addControls(container, {
+      title: () =>
+        `Which country uses emojis like ${this.sender || 'this chat'}?`,
+      subtitle: () =>
+        `${config.label}, top ${this.TOP_N} emojis · ${this.fileName}`,
+      data: () => this.getExportData(),
+    });
+  },
+
+  /**
+   * Dataset for DataExport: one row per country, best match first
+   */
+  getExportData() {
+    return DataExport.createDataset(
+      {
+        title: `Countries closest to ${this.sender || 'this chat'}`,
+        filters: {
+          sender: this.sender || 'everyone',
+          metric: this.metric,
+          topN: this.TOP_N,
+        },
+        sources: [
+          this.fileName,
+          ...this.matches.map((d) => DataLoader.getCountryDataPath(d.code)),
+        ],
+      },
+      ['country', 'similarity', 'sharedTopEmojis'],
+      this.matches.map((d) => ({
+        country: d.code,
+        similarity: d.value,
+        sharedTopEmojis: d.shared,
+      }))
+    );
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('chat-top-chart')) {
+    ChatAnalyzer.init();
+  }
+});
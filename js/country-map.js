@@ -0,0 +1,423 @@
+/**
+ * Country Map Module
+ * World choropleth of one emoji's rank or share in each Emoji Tracker
+ * country, drawn from a bundled TopoJSON file (no tile server)
+ */
+
+const CountryMap = {
+  // world-atlas 2.0.2 countries-110m.json (ISC license, Mike Bostock)
+  TOPOLOGY_URL: 'data/world-countries-110m.json',
+  MEASURES: {
+    rank: { label: 'Rank in the country' },
+    share: { label: 'Share of the country’s uses' },
+  },
+  COLORS: {
+    unlisted: '#f5f6fa', // Tracked country, emoji not in its top 1000
+    noData: '#dfe6e9', // Country without a tracker CSV
+  },
+  emojiKey: null,
+  measure: 'rank',
+  features: [],
+  countries: new Map(), // Country code -> data from DataLoader
+  emojis: [], // [{ key, emoji, meanShare }] from every country's list
+  tooltip: null,
+
+  async init() {
+    console.log('Initializing Country Map...');
+
+    const container = document.getElementById('country-map');
+    container.innerHTML = '<div class="loading-spinner">Loading...</div>';
+
+    let tooltip = d3.select('#country-map-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'country-map-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    try {
+      const [topology, countries] = await Promise.all([
+        d3.json(this.TOPOLOGY_URL),
+        DataLoader.loadAllCountryData(),
+      ]);
+      this.features = topojson.feature(
+        topology,
+        topology.objects.countries
+      ).features;
+      this.countries = countries;
+    } catch (error) {
+      console.error('Error loading the world map:', error);
+      container.innerHTML =
+        '<div style="text-align:center; padding: 20px; color: red;">Failed to load the map.</div>';
+      return;
+    }
+
+    this.emojis = this.collectEmojis();
+    this.emojiKey = this.emojis.length > 0 ? this.emojis[0].key : null;
+
+    this.populateControls();
+    $('#country-map-emoji').select2({
+      width: '250px',
+      templateResult: (state) => this.formatEmojiOption(state),
+      templateSelection: (state) => this.formatEmojiOption(state),
+      matcher: (params, data) => this.matchEmojiOption(params, data),
+    });
+    $('#country-map-measure').select2({
+      width: '250px',
+      minimumResultsForSearch: Infinity,
+    });
+
+    this.attachEventListeners();
+    this.render();
+  },
+
+  /**
+   * Every emoji in any country's list, most used first (by mean share, so
+   * each country counts equally)
+   */
+  collectEmojis() {
+    const shares = new Map();
+    this.countries.forEach((data) => {
+      const total = d3.sum(data, (d) => d.occurrences);
+      data.forEach((d) => {
+        const entry = shares.get(d.key) || { key: d.key, emoji: d.emoji };
+        entry.shareSum = (entry.shareSum || 0) + d.occurrences / total;
+        shares.set(d.key, entry);
+      });
+    });
+
+    return Array.from(shares.values(), ({ shareSum, ...d }) => ({
+      ...d,
+      meanShare: shareSum / this.countries.size,
+    })).sort((a, b) => b.meanShare - a.meanShare);
+  },
+
+  populateControls() {
+    const emojiSelect = document.getElementById('country-map-emoji');
+    this.emojis.forEach((d) => {
+      const option = document.createElement('option');
+      option.value = d.key;
+      option.text = d.emoji;
+      option.selected = d.key === this.emojiKey;
+      emojiSelect.appendChild(option);
+    });
+
+    const measureSelect = document.getElementById('country-map-measure');
+    Object.entries(this.MEASURES).forEach(([measure, config]) => {
+      const option = document.createElement('option');
+      option.value = measure;
+      option.text = config.label;
+      option.selected = measure === this.measure;
+      measureSelect.appendChild(option);
+    });
+  },
+
+  /**
+   * Emoji name from the registry, once the metadata has loaded
+   */
+  getEmojiName(key) {
+    const record = EmojiRegistry.records.get(key);
+    return record && record.name ? record.name.toLowerCase() : '';
+  },
+
+  formatEmojiOption(state) {
+    if (!state.id) return state.text;
+    const name = this.getEmojiName(state.id);
+    return $(
+      `<span><span style="font-size: 1.2em; margin-right: 6px;">${state.text}</span>${name}</span>`
+    );
+  },
+
+  // Search by emoji name as well as by the character itself
+  matchEmojiOption(params, data) {
+    const term = (params.term || '').trim().toLowerCase();
+    if (!term) return data;
+    const name = this.getEmojiName(data.id);
+    return data.text.includes(term) || name.includes(term) ? data : null;
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#country-map-emoji').on('change', (e) => {
+      this.emojiKey = e.target.value;
+      this.render();
+    });
+    $('#country-map-measure').on('change', (e) => {
+      this.measure = e.target.value;
+      this.render();
+    });
+  },
+
+  /**
+   * The selected emoji in every tracked country:
+   * Map code -> { rank, occurrences, share, listed }
+   */
+  getValues() {
+    const values = new Map();
+    this.countries.forEach((data, code) => {
+      const index = data.findIndex((d) => d.key === this.emojiKey);
+      const total = d3.sum(data, (d) => d.occurrences);
+      values.set(
+        code,
+        index === -1
+          ? { rank: null, occurrences: 0, share: 0, listed: false }
+          : {
+              rank: index + 1,
+              occurrences: data[index].occurrences,
+              share: data[index].occurrences / total,
+              listed: true,
+            }
+      );
+    });
+    return values;
+  },
+
+  render() {
+    const container = document.getElementById('country-map');
+    if (!container || !this.emojiKey) return;
+    container.innerHTML = '';
+
+    const values = this.getValues();
+    const emoji = this.emojis.find((d) => d.key === this.emojiKey).emoji;
+    const tooltip = this.tooltip;
+    const codeById = new Map(
+      Object.entries(DataLoader.COUNTRIES).map(([code, country]) => [
+        country.isoNumeric,
+        code,
+      ])
+    );
+
+    const width = container.clientWidth || 900;
+    const height = Math.round(width * 0.5);
+    const legendHeight = 50;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', height + legendHeight)
+      .attr('viewBox', `0 0 ${width} ${height + legendHeight}`);
+
+    // Hatching for countries without tracker data
+    svg
+      .append('defs')
+      .append('pattern')
+      .attr('id', 'country-map-no-data')
+      .attr('width', 6)
+      .attr('height', 6)
+      .attr('patternUnits', 'userSpaceOnUse')
+      .attr('patternTransform', 'rotate(45)')
+      .call((pattern) => {
+        pattern
+          .append('rect')
+          .attr('width', 6)
+          .attr('height', 6)
+          .attr('fill', this.COLORS.noData);
+        pattern
+          .append('line')
+          .attr('y2', 6)
+          .attr('stroke', '#b2bec3')
+          .attr('stroke-width', 2);
+      });
+
+    const projection = d3
+      .geoNaturalEarth1()
+      .fitSize([width, height], { type: 'Sphere' });
+    const path = d3.geoPath(projection);
+
+    svg
+      .append('path')
+      .attr('class', 'country-map-sphere')
+      .attr('d', path({ type: 'Sphere' }));
+
+    const listed = Array.from(values.values()).filter((v) => v.listed);
+    const color =
+      this.measure === 'share'
+        ? d3
+            .scaleSequential(d3.interpolateYlOrRd)
+            .domain([0, d3.max(listed, (v) => v.share) || 1])
+        : // Rank 1 darkest; ranks spread on a log scale
+          d3.scaleSequentialLog(d3.interpolateYlOrRd).domain([1000, 1]);
+    const fillOf = (code) => {
+      if (!code || !values.has(code)) return 'url(#country-map-no-data)';
+      const value = values.get(code);
+      if (!value.listed) return this.COLORS.unlisted;
+      return color(this.measure === 'share' ? value.share : value.rank);
+    };
+
+    const formatShare = d3.format('.2~%');
+    const countries = svg
+      .append('g')
+      .selectAll('path')
+      .data(this.features)
+      .enter()
+      .append('path')
+      .attr('class', (d) =>
+        values.has(codeById.get(d.id))
+          ? 'country-map-country tracked'
+          : 'country-map-country'
+      )
+      .attr('d', path)
+      .attr('fill', (d) => fillOf(codeById.get(d.id)));
+
+    // Tracked countries on top, so their outlines aren't covered
+    countries.filter('.tracked').raise();
+
+    countries
+      .on('mouseenter', (event, d) => {
+        const code = codeById.get(d.id);
+        const value = values.get(code);
+        let body;
+        if (!value) {
+          body = '<div>No Emoji Tracker data</div>';
+        } else if (!value.listed) {
+          body = `<div>${emoji} not in the top 1000</div>`;
+        } else {
+          body = `
+            <div>${emoji} <strong>#${value.rank}</strong></div>
+            <div>${value.occurrences.toLocaleString()} uses · ${formatShare(value.share)} of all</div>
+            <div style="color: var(--text-light);">Click to compare</div>`;
+        }
+
+        const name = code
+          ? `${DataLoader.COUNTRIES[code].flag} ${DataLoader.COUNTRIES[code].name}`
+          : d.properties.name;
+        tooltip
+          .style('opacity', 1)
+          .html(
+            `<div style="text-align: center;"><div><strong>${name}</strong></div>${body}</div>`
+          );
+        d3.select(event.currentTarget).classed('hovered', true).raise();
+      })
+      .on('mousemove', (event) => {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', (event) => {
+        tooltip.style('opacity', 0);
+        d3.select(event.currentTarget).classed('hovered', false);
+        countries.filter('.tracked').raise();
+      })
+      .on('click', (event, d) => {
+        const code = codeById.get(d.id);
+        if (values.has(code)) App.showCountryPanel(code);
+      });
+
+    this.renderLegend(svg, color, width, height);
+
+    ChartExport.addControls(container, {
+      title: `Where is ${emoji} popular?`,
+      subtitle: `${this.MEASURES[this.measure].label} · Source: Emoji Tracker`,
+      data: () => this.getExportData(values),
+    });
+  },
+
+  /**
+   * Color ramp plus the unlisted and no-data swatches
+   */
+  renderLegend(svg, color, width, height) {
+    const legend = svg
+      .append('g')
+      .attr('class', 'country-map-legend')
+      .attr('transform', `translate(${width / 2 - 235},${height + 12})`);
+
+    const rampWidth = 220;
+    const gradient = svg
+      .select('defs')
+      .append('linearGradient')
+      .attr('id', 'country-map-gradient');
+    d3.range(0, 1.01, 0.1).forEach((t) => {
+      gradient
+        .append('stop')
+        .attr('offset', `${t * 100}%`)
+        .attr('stop-color', d3.interpolateYlOrRd(t));
+    });
+    legend
+      .append('rect')
+      .attr('width', rampWidth)
+      .attr('height', 10)
+      .attr('rx', 3)
+      .attr('fill', 'url(#country-map-gradient)');
+
+    const [low, high] =
+      this.measure === 'share'
+        ? color.domain().map(d3.format('.2~%'))
+        : ['#1000', '#1'];
+    legend
+      .selectAll('.country-map-legend-label')
+      .data([low, high])
+      .enter()
+      .append('text')
+      .attr('class', 'country-map-legend-label')
+      .attr('x', (d, i) => i * rampWidth)
+      .attr('y', 26)
+      .style('text-anchor', (d, i) => (i === 0 ? 'start' : 'end'))
+      .text((d) => d);
+
+    [
+      { label: 'Not in top 1000', fill: this.COLORS.unlisted, x: 260 },
+      { label: 'No data', fill: 'url(#country-map-no-data)', x: 400 },
+    ].forEach((item) => {
+      legend
+        .append('rect')
+        .attr('x', item.x)
+        .attr('width', 14)
+        .attr('height', 14)
+        .attr('y', -2)
+        .attr('stroke', '#b2bec3')
+        .attr('fill', item.fill);
+      legend
+        .append('text')
+        .attr('class', 'country-map-legend-label')
+        .attr('x', item.x + 20)
+        .attr('y', 10)
+        .text(item.label);
+    });
+  },
+
+  /**
+   * Dataset for DataExport: one row per tracked country
+   */
+  getExportData(values) {
+    const emoji = this.emojis.find((d) => d.key === this.emojiKey).emoji;
+    const rows = Array.from(values, ([code, value]) => ({
+      country: code,
+      name: DataLoader.COUNTRIES[code].name,
+      emoji,
+      key: this.emojiKey,
+      ...value,
+    }));
+
+    return DataExport.createDataset(
+      {
+        title: `${emoji} by country`,
+        filters: { emoji: this.emojiKey, measure: this.measure },
+        sources: Array.from(values.keys(), (code) =>
+          DataLoader.getCountryDataPath(code)
+        ),
+      },
+      [
+        'country',
+        'name',
+        'emoji',
+        'key',
+        'rank',
+        'occurrences',
+        'share',
+        'listed',
+      ],
+      rows
+    );
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('country-map')) {
+    CountryMap.init();
+  }
+});
@@ -0,0 +1,402 @@
+/**
+ * Country Sentiment Module
+ * Emotional profile of each country: its Emoji Tracker counts joined with
+ * the sentiment lexicon, drawn as one row per country
+ */
+
+const CountrySentiment = {
+  sortBy: 'meanSentiment',
+  SORT_OPTIONS: {
+    meanSentiment: 'Mean sentiment',
+    positive: 'Positive share',
+    negative: 'Negative share',
+    coverage: 'Lexicon coverage',
+    name: 'Country name',
+  },
+  // Shares stack in lexicon order, negative to positive
+  CATEGORIES: ['negative', 'neutral', 'positive'],
+  COVERAGE_COLOR: '#74b9ff',
+  CONTRIBUTOR_COUNT: 3, // Emojis listed per direction in the tooltip
+  tooltip: null,
+  profiles: null, // [{ code, ...Analysis.profileSentiment }], built once
+
+  init() {
+    console.log('Initializing Country Sentiment...');
+
+    this.populateControls();
+    $('#country-sentiment-sort').select2({
+      width: '200px',
+      minimumResultsForSearch: Infinity,
+    });
+
+    let tooltip = d3.select('#country-sentiment-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'country-sentiment-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    this.attachEventListeners();
+    this.update();
+  },
+
+  populateControls() {
+    const sort = document.getElementById('country-sentiment-sort');
+    Object.entries(this.SORT_OPTIONS).forEach(([key, label]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.text = label;
+      option.selected = key === this.sortBy;
+      sort.appendChild(option);
+    });
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#country-sentiment-sort').on('change', (e) => {
+      this.sortBy = e.target.value;
+      this.update();
+    });
+  },
+
+  async update() {
+    const container = document.getElementById('country-sentiment-chart');
+    if (!container) return;
+
+    if (!this.profiles) {
+      container.innerHTML = '<div class="loading-spinner">Loading...</div>';
+      this.profiles = await this.loadProfiles();
+    }
+    if (this.profiles.length === 0) {
+      container.innerHTML =
+        '<div style="text-align:center; padding: 20px; color: red;">Failed to load data.</div>';
+      return;
+    }
+
+    this.renderChart(container, this.sortProfiles(this.profiles));
+  },
+
+  /**
+   * Profile every country that loads and has some lexicon coverage.
+   * Returns [] if the lexicon itself fails to load.
+   */
+  async loadProfiles() {
+    try {
+      const [countries, lexicon] = await Promise.all([
+        DataLoader.loadAllCountryData(),
+        DataLoader.loadSentimentData(),
+      ]);
+      return Array.from(countries, ([code, data]) => ({
+        code,
+        ...Analysis.profileSentiment(data, lexicon),
+      })).filter((d) => d.coveredCount > 0);
+    } catch (error) {
+      console.error('Error loading country sentiment:', error);
+      return [];
+    }
+  },
+
+  sortProfiles(profiles) {
+    const name = (d) => DataLoader.COUNTRIES[d.code].name;
+    if (this.sortBy === 'name') {
+      return profiles.slice().sort((a, b) => name(a).localeCompare(name(b)));
+    }
+    return profiles
+      .slice()
+      .sort(
+        (a, b) =>
+          b[this.sortBy] - a[this.sortBy] || a.code.localeCompare(b.code)
+      );
+  },
+
+  /**
+   * Three aligned panels per country row: the stacked negative / neutral /
+   * positive shares, the mean sentiment on a shared axis, and coverage
+   */
+  renderChart(container, profiles) {
+    container.innerHTML = '';
+
+    const tooltip = this.tooltip;
+    const colors = SentimentApp.SENTIMENT_COLORS;
+    const percent = d3.format('.0%');
+    const signed = d3.format('+.3f');
+
+    const margin = { top: 40, right: 20, bottom: 36, left: 150 };
+    const rowHeight = 36;
+    const outerWidth = container.clientWidth || 800;
+    const width = outerWidth - margin.left - margin.right;
+    const height = profiles.length * rowHeight;
+    const outerHeight = height + margin.top + margin.bottom;
+
+    // Panel widths: shares 50%, mean 30%, coverage 20% (less the gaps)
+    const gap = 24;
+    const sharesWidth = (width - 2 * gap) * 0.5;
+    const meanWidth = (width - 2 * gap) * 0.3;
+    const coverageWidth = (width - 2 * gap) * 0.2;
+    const meanLeft = sharesWidth + gap;
+    const coverageLeft = meanLeft + meanWidth + gap;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', outerHeight)
+      .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const y = d3
+      .scaleBand()
+      .domain(profiles.map((d) => d.code))
+      .range([0, height])
+      .padding(0.3);
+
+    const xShares = d3.scaleLinear().domain([0, 1]).range([0, sharesWidth]);
+
+    // Mean axis padded around the observed range; 0 marked when inside it
+    const meanExtent = d3.extent(profiles, (d) => d.meanSentiment);
+    const meanPad = Math.max(0.02, (meanExtent[1] - meanExtent[0]) * 0.15);
+    const xMean = d3
+      .scaleLinear()
+      .domain([meanExtent[0] - meanPad, meanExtent[1] + meanPad])
+      .range([0, meanWidth])
+      .nice();
+
+    const xCoverage = d3.scaleLinear().domain([0, 1]).range([0, coverageWidth]);
+
+    // Panel headers
+    [
+      { x: 0, text: 'Share of uses by sentiment' },
+      { x: meanLeft, text: 'Mean sentiment' },
+      { x: coverageLeft, text: 'Lexicon coverage' },
+    ].forEach((header) =>
+      svg
+        .append('text')
+        .attr('class', 'country-sentiment-header')
+        .attr('x', header.x)
+        .attr('y', -16)
+        .text(header.text)
+    );
+
+    // Axes
+    svg
+      .append('g')
+      .attr('class', 'axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xShares).ticks(4).tickFormat(percent));
+
+    svg
+      .append('g')
+      .attr('class', 'axis')
+      .attr('transform', `translate(${meanLeft},${height})`)
+      .call(d3.axisBottom(xMean).ticks(4).tickFormat(d3.format('+.2f')));
+
+    svg
+      .append('g')
+      .attr('class', 'axis')
+      .attr('transform', `translate(${coverageLeft},${height})`)
+      .call(d3.axisBottom(xCoverage).ticks(2).tickFormat(percent));
+
+    const [meanMin, meanMax] = xMean.domain();
+    if (meanMin < 0 && meanMax > 0) {
+      svg
+        .append('line')
+        .attr('class', 'country-sentiment-zero')
+        .attr('x1', meanLeft + xMean(0))
+        .attr('x2', meanLeft + xMean(0))
+        .attr('y1', 0)
+        .attr('y2', height);
+    }
+
+    const rows = svg
+      .selectAll('.country-sentiment-row')
+      .data(profiles, (d) => d.code)
+      .enter()
+      .append('g')
+      .attr('class', 'country-sentiment-row')
+      .attr('transform', (d) => `translate(0,${y(d.code)})`);
+
+    rows
+      .append('text')
+      .attr('class', 'country-sentiment-label')
+      .attr('x', -12)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .text((d) => {
+        const info = DataLoader.COUNTRIES[d.code];
+        return `${info.flag} ${info.name}`;
+      });
+
+    // Stacked shares
+    rows.each((d, i, nodes) => {
+      let x0 = 0;
+      this.CATEGORIES.forEach((category, j) => {
+        const share = d[category];
+        d3.select(nodes[i])
+          .append('rect')
+          .attr('class', `country-sentiment-share ${category}`)
+          .attr('x', xShares(x0))
+          .attr('width', xShares(share))
+          .attr('height', y.bandwidth())
+          .attr('fill', colors[j]);
+
+        // Label segments wide enough to hold "100%"
+        if (xShares(share) >= 34) {
+          d3.select(nodes[i])
+            .append('text')
+            .attr('class', 'country-sentiment-share-label')
+            .attr('x', xShares(x0 + share / 2))
+            .attr('y', y.bandwidth() / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'middle')
+            .text(percent(share));
+        }
+        x0 += share;
+      });
+    });
+
+    // Mean sentiment: a dot on a track
+    rows
+      .append('line')
+      .attr('class', 'country-sentiment-track')
+      .attr('x1', meanLeft)
+      .attr('x2', meanLeft + meanWidth)
+      .attr('y1', y.bandwidth() / 2)
+      .attr('y2', y.bandwidth() / 2);
+
+    rows
+      .append('circle')
+      .attr('class', 'country-sentiment-mean')
+      .attr('cx', (d) => meanLeft + xMean(d.meanSentiment))
+      .attr('cy', y.bandwidth() / 2)
+      .attr('r', 7)
+      .attr('fill', (d) => (d.meanSentiment >= 0 ? colors[2] : colors[0]));
+
+    // Coverage: a bar on a full-width track
+    rows
+      .append('rect')
+      .attr('class', 'country-sentiment-coverage-track')
+      .attr('x', coverageLeft)
+      .attr('width', coverageWidth)
+      .attr('height', y.bandwidth());
+
+    rows
+      .append('rect')
+      .attr('x', coverageLeft)
+      .attr('width', (d) => xCoverage(d.coverage))
+      .attr('height', y.bandwidth())
+      .attr('fill', this.COVERAGE_COLOR);
+
+    rows
+      .append('text')
+      .attr('class', 'country-sentiment-share-label')
+      .attr('x', coverageLeft + 6)
+      .attr('y', y.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .text((d) => percent(d.coverage));
+
+    // Whole-row hit area for the tooltip
+    rows
+      .append('rect')
+      .attr('class', 'country-sentiment-hit')
+      .attr('x', -margin.left)
+      .attr('y', -(y.step() - y.bandwidth()) / 2)
+      .attr('width', outerWidth)
+      .attr('height', y.step())
+      .on('mouseenter', (event, d) => {
+        d3.select(event.currentTarget.parentNode).classed('hovered', true);
+
+        const info = DataLoader.COUNTRIES[d.code];
+        const listEmojis = (items) =>
+          items.map((c) => c.emoji).join(' ') || '–';
+        const positive = d.contributions
+          .filter((c) => c.contribution > 0)
+          .slice(0, this.CONTRIBUTOR_COUNT);
+        const negative = d.contributions
+          .filter((c) => c.contribution < 0)
+          .slice(0, this.CONTRIBUTOR_COUNT);
+
+        tooltip.style('opacity', 1).html(
+          `<div style="text-align: center;">
+              <div><strong>${info.flag} ${info.name}</strong></div>
+              <div>Mean sentiment: <strong>${signed(d.meanSentiment)}</strong></div>
+              <div>${percent(d.negative)} negative · ${percent(d.neutral)} neutral · ${percent(d.positive)} positive</div>
+              <div>Coverage: ${percent(d.coverage)} of uses (${d.coveredCount} of ${d.emojiCount} emojis)</div>
+              <div>Pulling up: ${listEmojis(positive)}</div>
+              <div>Pulling down: ${listEmojis(negative)}</div>
+            </div>`
+        );
+      })
+      .on('mousemove', (event) => {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', (event) => {
+        d3.select(event.currentTarget.parentNode).classed('hovered', false);
+        tooltip.style('opacity', 0);
+      });
+
+    ChartExport.addControls(container, {
+      title: 'How do countries feel in emoji?',
+      subtitle:
+        'Emoji Tracker counts weighted by the Emoji Sentiment Ranking lexicon',
+      legend: [
+        { label: 'Negative', color: colors[0] },
+        { label: 'Neutral', color: colors[1] },
+        { label: 'Positive', color: colors[2] },
+        { label: 'Lexicon coverage', color: this.COVERAGE_COLOR },
+      ],
+      data: () => this.getExportData(),
+    });
+  },
+
+  /**
+   * Dataset for DataExport: one row per country, in the chart's order
+   */
+  getExportData() {
+    const rows = this.sortProfiles(this.profiles || []).map((d) => ({
+      country: d.code,
+      meanSentiment: d.meanSentiment,
+      negativeShare: d.negative,
+      neutralShare: d.neutral,
+      positiveShare: d.positive,
+      coverage: d.coverage,
+      coveredEmojis: d.coveredCount,
+      listedEmojis: d.emojiCount,
+    }));
+
+    return DataExport.createDataset(
+      {
+        title: 'Country sentiment profiles',
+        filters: { sortBy: this.sortBy },
+        sources: [
+          ...rows.map((d) => DataLoader.getCountryDataPath(d.country)),
+          DataLoader.SENTIMENT_DATA_URL,
+        ],
+      },
+      [
+        'country',
+        'meanSentiment',
+        'negativeShare',
+        'neutralShare',
+        'positiveShare',
+        'coverage',
+        'coveredEmojis',
+        'listedEmojis',
+      ],
+      rows
+    );
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('country-sentiment-chart')) {
+    CountrySentiment.init();
+  }
+});
@@ -0,0 +1,563 @@
+/**
+ * Country Similarity Module
+ * Pairwise similarity of the Emoji Tracker country rankings, drawn as a
+ * heatmap ordered by hierarchical clustering, with its dendrogram
+ */
+
+const CountrySimilarity = {
+  metric: 'cosine',
+  topN: 50,
+  TOP_N_OPTIONS: [10, 20, 50, 100, 250],
+  // Every metric compares the emojis in either country's top N
+  METRICS: {
+    cosine: {
+      label: 'Cosine (usage shares)',
+      description:
+        'Cosine similarity of the share of all uses each emoji gets, over the emojis in either top N. Sensitive to how dominant the most-used emojis are.',
+    },
+    spearman: {
+      label: 'Spearman (ranks)',
+      description:
+        'Rank correlation over the emojis in either top N, using their positions in the full lists (unlisted emojis tie for last). 1 = same order, 0 = unrelated.',
+    },
+    kendall: {
+      label: 'Kendall τ (ranks)',
+      description:
+        'Share of emoji pairs ordered the same way in both countries, minus the share ordered differently, over the emojis in either top N.',
+    },
+    jaccard: {
+      label: 'Jaccard (top-N sets)',
+      description:
+        'Emojis in both top N lists, divided by emojis in either. Ignores order within the lists.',
+    },
+  },
+  tooltip: null,
+  profiles: null, // Country code -> profile, built once
+  matrix: [], // [{ a, b, value, shared }] for every ordered pair
+  order: [], // Country codes in dendrogram leaf order
+
+  init() {
+    console.log('Initializing Country Similarity...');
+
+    this.populateControls();
+    $('#similarity-metric, #similarity-topn').select2({
+      width: '220px',
+      minimumResultsForSearch: Infinity,
+    });
+
+    let tooltip = d3.select('#similarity-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'similarity-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    this.attachEventListeners();
+    this.update();
+  },
+
+  populateControls() {
+    const metric = document.getElementById('similarity-metric');
+    Object.entries(this.METRICS).forEach(([key, config]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.text = config.label;
+      option.selected = key === this.metric;
+      metric.appendChild(option);
+    });
+
+    const topN = document.getElementById('similarity-topn');
+    this.TOP_N_OPTIONS.forEach((n) => {
+      const option = document.createElement('option');
+      option.value = n;
+      option.text = `Top ${n}`;
+      option.selected = n === this.topN;
+      topN.appendChild(option);
+    });
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#similarity-metric').on('change', (e) => {
+      this.metric = e.target.value;
+      this.update();
+    });
+    $('#similarity-topn').on('change', (e) => {
+      this.topN = +e.target.value;
+      this.update();
+    });
+  },
+
+  async update() {
+    const container = document.getElementById('similarity-chart');
+    if (!container) return;
+
+    if (!this.profiles) {
+      container.innerHTML = '<div class="loading-spinner">Loading...</div>';
+      this.profiles = await this.loadProfiles();
+    }
+    const codes = Array.from(this.profiles.keys());
+    if (codes.length < 2) {
+      container.innerHTML =
+        '<div style="text-align:center; padding: 20px; color: red;">Failed to load data.</div>';
+      return;
+    }
+
+    this.matrix = this.computeMatrix(codes, this.metric, this.topN);
+    const tree = this.clusterCountries(codes);
+    this.order = this.getLeafOrder(tree);
+
+    this.renderChart(container, tree);
+    d3.select('#similarity-description').text(
+      this.METRICS[this.metric].description
+    );
+  },
+
+  /**
+   * Load every country and index its list. Countries that fail to load are
+   * left out of the matrix.
+   */
+  async loadProfiles() {
+    const countries = await DataLoader.loadAllCountryData();
+    return new Map(
+      Array.from(countries, ([code, data]) => [code, this.buildProfile(data)])
+    );
+  },
+
+  /**
+   * { ranks: key -> { rank, occurrences }, sorted: keys by rank,
+   * total: all occurrences, length: list length }
+   */
+  buildProfile(data) {
+    return {
+      ranks: new Map(
+        data.map((d, i) => [d.key, { rank: i + 1, occurrences: d.occurrences }])
+      ),
+      sorted: data.map((d) => d.key),
+      total: d3.sum(data, (d) => d.occurrences),
+      length: data.length,
+    };
+  },
+
+  /**
+   * Similarity for every ordered pair of countries (diagonal included)
+   */
+  computeMatrix(codes, metric, topN) {
+    const matrix = [];
+    codes.forEach((a, i) => {
+      codes.forEach((b, j) => {
+        if (j < i) return;
+        const profileA = this.profiles.get(a);
+        const profileB = this.profiles.get(b);
+        const topA = new Set(profileA.sorted.slice(0, topN));
+        const topB = new Set(profileB.sorted.slice(0, topN));
+        const union = Array.from(new Set([...topA, ...topB]));
+        const shared = union.filter((key) => topA.has(key) && topB.has(key));
+
+        const value = this.similarity(
+          metric,
+          profileA,
+          profileB,
+          union,
+          shared.length
+        );
+        matrix.push({ a, b, value, shared: shared.length });
+        if (a !== b) matrix.push({ a: b, b: a, value, shared: shared.length });
+      });
+    });
+    return matrix;
+  },
+
+  /**
+   * One metric for two profiles over `keys` (the union of their top N),
+   * `sharedCount` of which are in both top N
+   */
+  similarity(metric, profileA, profileB, keys, sharedCount) {
+    if (metric === 'jaccard') {
+      return sharedCount / keys.length;
+    }
+
+    if (metric === 'cosine') {
+      const share = (profile, key) =>
+        profile.ranks.has(key)
+          ? profile.ranks.get(key).occurrences / profile.total
+          : 0;
+      const a = keys.map((key) => share(profileA, key));
+      const b = keys.map((key) => share(profileB, key));
+      return d3.sum(a, (v, i) => v * b[i]) / (this.norm(a) * this.norm(b));
+    }
+
+    // Rank metrics: positions in the full lists, unlisted ties for last
+    const rank = (profile, key) =>
+      profile.ranks.has(key) ? profile.ranks.get(key).rank : profile.length + 1;
+    const a = keys.map((key) => rank(profileA, key));
+    const b = keys.map((key) => rank(profileB, key));
+
+    return metric === 'kendall'
+      ? this.kendallTau(a, b)
+      : this.pearson(this.toRanks(a), this.toRanks(b));
+  },
+
+  norm(values) {
+    return Math.sqrt(d3.sum(values, (v) => v * v));
+  },
+
+  pearson(a, b) {
+    const meanA = d3.mean(a);
+    const meanB = d3.mean(b);
+    const da = a.map((v) => v - meanA);
+    const db = b.map((v) => v - meanB);
+    const denominator = this.norm(da) * this.norm(db);
+    return denominator === 0
+      ? 0
+      : d3.sum(da, (v, i) => v * db[i]) / denominator;
+  },
+
+  /**
+   * Ranks within the sample, ties sharing their average rank
+   * (so Pearson on them is Spearman's rho)
+   */
+  toRanks(values) {
+    const order = d3.range(values.length).sort((i, j) => values[i] - values[j]);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length; ) {
+      let end = start;
+      while (
+        end + 1 < order.length &&
+        values[order[end + 1]] === values[order[start]]
+      ) {
+        end++;
+      }
+      for (let k = start; k <= end; k++)
+        ranks[order[k]] = (start + end) / 2 + 1;
+      start = end + 1;
+    }
+    return ranks;
+  },
+
+  /**
+   * Kendall's tau-b, which corrects for ties (the unlisted emojis)
+   */
+  kendallTau(a, b) {
+    let concordant = 0;
+    let discordant = 0;
+    let tiesA = 0;
+    let tiesB = 0;
+    for (let i = 0; i < a.length; i++) {
+      for (let j = i + 1; j < a.length; j++) {
+        const sign = Math.sign(a[i] - a[j]) * Math.sign(b[i] - b[j]);
+        if (sign > 0) concordant++;
+        else if (sign < 0) discordant++;
+        else if (a[i] === a[j] && b[i] !== b[j]) tiesA++;
+        else if (b[i] === b[j] && a[i] !== a[j]) tiesB++;
+      }
+    }
+    const denominator = Math.sqrt(
+      (concordant + discordant + tiesA) * (concordant + discordant + tiesB)
+    );
+    return denominator === 0 ? 0 : (concordant - discordant) / denominator;
+  },
+
+  getValue(a, b) {
+    return this.matrix.find((d) => d.a === a && d.b === b).value;
+  },
+
+  /**
+   * Average-linkage agglomerative clustering on 1 - similarity.
+   * Returns a binary tree: leaves { code, height: 0 },
+   * merges { children: [left, right], height }.
+   */
+  clusterCountries(codes) {
+    const distance = (a, b) => 1 - this.getValue(a, b);
+    let clusters = codes.map((code) => ({ code, members: [code], height: 0 }));
+
+    while (clusters.length > 1) {
+      let best = null;
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          const d = d3.mean(
+            d3.cross(clusters[i].members, clusters[j].members),
+            ([a, b]) => distance(a, b)
+          );
+          if (!best || d < best.d) best = { i, j, d };
+        }
+      }
+
+      const left = clusters[best.i];
+      const right = clusters[best.j];
+      const merged = {
+        // Tighter cluster first, for a stable, readable order
+        children: left.height <= right.height ? [left, right] : [right, left],
+        members: [...left.members, ...right.members],
+        height: Math.max(best.d, left.height, right.height),
+      };
+      clusters = clusters.filter((c, k) => k !== best.i && k !== best.j);
+      clusters.push(merged);
+    }
+
+    return clusters[0];
+  },
+
+  getLeafOrder(node) {
+    return node.children
+      ? node.children.flatMap((child) => this.getLeafOrder(child))
+      : [node.code];
+  },
+
+  renderChart(container, tree) {
+    container.innerHTML = '';
+
+    const { metric, topN, order } = this;
+    const config = this.METRICS[metric];
+    const tooltip = this.tooltip;
+
+    const dendrogramSize = 70;
+    const labelSize = 64;
+    const legendHeight = 40;
+    const outerWidth = container.clientWidth || 640;
+    const cellSize = Math.min(
+      60,
+      Math.floor((outerWidth - dendrogramSize - labelSize - 10) / order.length)
+    );
+    const matrixSize = cellSize * order.length;
+    const offset = dendrogramSize + labelSize;
+    const outerHeight = offset + matrixSize + legendHeight;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', outerHeight)
+      .attr('viewBox', `0 0 ${offset + matrixSize + 10} ${outerHeight}`);
+
+    const position = d3.scaleBand().domain(order).range([0, matrixSize]);
+
+    // Color over the off-diagonal values, so small differences still show
+    const offDiagonal = this.matrix.filter((d) => d.a !== d.b);
+    const color = d3
+      .scaleSequential(d3.interpolateYlGnBu)
+      .domain(d3.extent(offDiagonal, (d) => d.value));
+    const format = d3.format('.2f');
+
+    const grid = svg
+      .append('g')
+      .attr('class', 'similarity-matrix')
+      .attr('transform', `translate(${offset},${offset})`);
+
+    const cells = grid
+      .selectAll('.similarity-cell')
+      .data(this.matrix)
+      .enter()
+      .append('g')
+      .attr('class', 'similarity-cell')
+      .attr('transform', (d) => `translate(${position(d.b)},${position(d.a)})`);
+
+    cells
+      .append('rect')
+      .attr('width', cellSize - 2)
+      .attr('height', cellSize - 2)
+      .attr('rx', 4)
+      .attr('fill', (d) => (d.a === d.b ? '#f1f2f6' : color(d.value)));
+
+    cells
+      .append('text')
+      .attr('x', (cellSize - 2) / 2)
+      .attr('y', (cellSize - 2) / 2)
+      .attr('dy', '0.35em')
+      .style('text-anchor', 'middle')
+      .style('font-size', `${Math.min(12, cellSize / 4)}px`)
+      .style('fill', (d) =>
+        d.a !== d.b && d3.hsl(color(d.value)).l < 0.5 ? '#fff' : '#2d3436'
+      )
+      .text((d) => (d.a === d.b ? '' : format(d.value)));
+
+    // Country labels: rows on the left, columns on top
+    const labelText = (code) => `${DataLoader.COUNTRIES[code].flag} ${code}`;
+    grid
+      .selectAll('.similarity-row-label')
+      .data(order)
+      .enter()
+      .append('text')
+      .attr('class', 'similarity-label similarity-row-label')
+      .attr('x', -8)
+      .attr('y', (code) => position(code) + cellSize / 2)
+      .attr('dy', '0.35em')
+      .style('text-anchor', 'end')
+      .text(labelText);
+    grid
+      .selectAll('.similarity-col-label')
+      .data(order)
+      .enter()
+      .append('text')
+      .attr('class', 'similarity-label similarity-col-label')
+      .attr('x', (code) => position(code) + cellSize / 2)
+      .attr('y', -10)
+      .style('text-anchor', 'middle')
+      .text(labelText);
+
+    // Dendrograms share the leaf order with the matrix
+    const maxHeight = tree.height || 1;
+    const drawDendrogram = (transform, flip) => {
+      const g = svg
+        .append('g')
+        .attr('class', 'similarity-dendrogram')
+        .attr('transform', transform);
+      const depth = d3
+        .scaleLinear()
+        .domain([0, maxHeight])
+        .range([dendrogramSize - 4, 4]);
+      const place = (node) => {
+        if (!node.children) {
+          node.x = position(node.code) + cellSize / 2;
+          return;
+        }
+        node.children.forEach(place);
+        node.x = d3.mean(node.children, (child) => child.x);
+      };
+      place(tree);
+
+      const links = [];
+      const collect = (node) => {
+        if (!node.children) return;
+        node.children.forEach((child) => {
+          links.push({ parent: node, child });
+          collect(child);
+        });
+      };
+      collect(tree);
+
+      // Elbow from the child up to the parent's merge height
+      g.selectAll('path')
+        .data(links)
+        .enter()
+        .append('path')
+        .attr('d', ({ parent, child }) => {
+          const points = [
+            [child.x, depth(child.height)],
+            [child.x, depth(parent.height)],
+            [parent.x, depth(parent.height)],
+          ];
+          return d3.line()(flip ? points.map(([x, y]) => [y, x]) : points);
+        });
+    };
+    drawDendrogram(`translate(${offset},0)`, false);
+    drawDendrogram(`translate(0,${offset})`, true);
+
+    // Color legend under the matrix
+    const legendWidth = Math.min(240, matrixSize);
+    const legend = svg
+      .append('g')
+      .attr('class', 'similarity-legend')
+      .attr(
+        'transform',
+        `translate(${offset + (matrixSize - legendWidth) / 2},${offset + matrixSize + 12})`
+      );
+    const gradientId = 'similarity-gradient';
+    const gradient = svg
+      .append('defs')
+      .append('linearGradient')
+      .attr('id', gradientId);
+    d3.range(0, 1.01, 0.1).forEach((t) => {
+      gradient
+        .append('stop')
+        .attr('offset', `${t * 100}%`)
+        .attr(
+          'stop-color',
+          color(color.domain()[0] + t * (color.domain()[1] - color.domain()[0]))
+        );
+    });
+    legend
+      .append('rect')
+      .attr('width', legendWidth)
+      .attr('height', 10)
+      .attr('rx', 3)
+      .attr('fill', `url(#${gradientId})`);
+    legend
+      .selectAll('.similarity-legend-label')
+      .data(color.domain())
+      .enter()
+      .append('text')
+      .attr('class', 'similarity-legend-label')
+      .attr('x', (d, i) => i * legendWidth)
+      .attr('y', 24)
+      .style('text-anchor', (d, i) => (i === 0 ? 'start' : 'end'))
+      .text(
+        (d, i) => `${format(d)} ${i === 0 ? 'less similar' : 'more similar'}`
+      );
+
+    cells
+      .filter((d) => d.a !== d.b)
+      .on('mouseenter', (event, d) => {
+        grid
+          .selectAll('.similarity-label')
+          .classed('active', (code) => code === d.a || code === d.b);
+        d3.select(event.currentTarget).classed('hovered', true);
+
+        const countryA = DataLoader.COUNTRIES[d.a];
+        const countryB = DataLoader.COUNTRIES[d.b];
+        tooltip.style('opacity', 1).html(
+          `<div style="text-align: center;">
+              <div><strong>${countryA.flag} ${countryA.name} · ${countryB.flag} ${countryB.name}</strong></div>
+              <div>${config.label}: <strong>${format(d.value)}</strong></div>
+              <div>${d.shared} of their top ${topN} emojis shared</div>
+            </div>`
+        );
+      })
+      .on('mousemove', (event) => {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', (event) => {
+        grid.selectAll('.similarity-label').classed('active', false);
+        d3.select(event.currentTarget).classed('hovered', false);
+        tooltip.style('opacity', 0);
+      });
+
+    ChartExport.addControls(container, {
+      title: 'How similarly do countries use emojis?',
+      subtitle: `${config.label} · top ${topN} emojis · Source: Emoji Tracker`,
+      data: () => this.getExportData(),
+    });
+  },
+
+  /**
+   * Dataset for DataExport: one row per ordered country pair
+   */
+  getExportData() {
+    const { metric, topN, order } = this;
+    const rows = this.matrix
+      .filter((d) => d.a !== d.b)
+      .sort(
+        (x, y) =>
+          order.indexOf(x.a) - order.indexOf(y.a) ||
+          order.indexOf(x.b) - order.indexOf(y.b)
+      )
+      .map((d) => ({
+        countryA: d.a,
+        countryB: d.b,
+        similarity: d.value,
+        sharedTopN: d.shared,
+      }));
+
+    return DataExport.createDataset(
+      {
+        title: `Country similarity: ${this.METRICS[metric].label}`,
+        filters: { metric, topN, order: order.join(' ') },
+        sources: order.map((code) => DataLoader.getCountryDataPath(code)),
+      },
+      ['countryA', 'countryB', 'similarity', 'sharedTopN'],
+      rows
+    );
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('similarity-chart')) {
+    CountrySimilarity.init();
+  }
+});
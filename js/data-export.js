@@ -0,0 +1,131 @@
+/**
+ * Data Export Module
+ * Downloads the rows behind a chart as CSV or JSON, with a short header
+ * describing the filters applied and the source files
+ */
+
+const DataExport = {
+  /**
+   * Wrap exported rows with their description.
+   * meta: { title, filters: { name: value }, sources: [paths] }
+   * columns: row fields to export, in order
+   */
+  createDataset(meta, columns, rows) {
+    return {
+      meta: {
+        title: meta.title || '',
+        generated: new Date().toISOString(),
+        filters: meta.filters || {},
+        sources: meta.sources || [],
+        rows: rows.length,
+      },
+      columns,
+      rows,
+    };
+  },
+
+  /**
+   * Dataset for plotted time series ([{ name, emojiChar, values }]), one row
+   * per series and date. `value` is the plotted (normalized) value;
+   * `samples` and `missing` describe resampled periods.
+   */
+  fromSeries(series, meta) {
+    const rows = series.flatMap((s) =>
+      s.values.map((d) => ({
+        series: s.name,
+        emoji: s.emojiChar,
+        key: d.key,
+        date: d.date,
+        usage: d.usage,
+        value: d.value !== undefined ? d.value : d.usage,
+        samples: d.samples,
+        missing: d.missing,
+      }))
+    );
+
+    return this.createDataset(
+      meta,
+      [
+        'series',
+        'emoji',
+        'key',
+        'date',
+        'usage',
+        'value',
+        'samples',
+        'missing',
+      ],
+      rows
+    );
+  },
+
+  /**
+   * Serialize a dataset as CSV, preceded by "# name: value" comment lines
+   */
+  toCsv(dataset) {
+    const { meta, columns, rows } = dataset;
+
+    const filters = Object.entries(meta.filters)
+      .map(([name, value]) => `${name}=${value}`)
+      .join('; ');
+    const header = [
+      `# ${meta.title}`,
+      `# generated: ${meta.generated}`,
+      `# filters: ${filters || 'none'}`,
+      `# sources: ${meta.sources.join('; ')}`,
+      `# rows: ${meta.rows}`,
+    ];
+
+    const body = d3.csvFormatRows([
+      columns,
+      ...rows.map((row) =>
+        columns.map((column) => this.formatCell(row[column]))
+      ),
+    ]);
+
+    return `${header.join('\n')}\n${body}\n`;
+  },
+
+  /**
+   * Serialize a dataset as JSON: { meta, data: [rows] }
+   */
+  toJson(dataset) {
+    const { meta, columns, rows } = dataset;
+
+    const data = rows.map((row) =>
+      Object.fromEntries(
+        columns.map((column) => [column, this.formatCell(row[column], true)])
+      )
+    );
+
+    return JSON.stringify({ meta, data }, null, 2);
+  },
+
+  /**
+   * Dates become ISO days (or full timestamps when they have a time);
+   * missing values become empty cells, or null in JSON
+   */
+  formatCell(value, json = false) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return json ? null : '';
+    }
+    if (value instanceof Date) {
+      return d3.timeDay(value) - value === 0
+        ? d3.timeFormat('%Y-%m-%d')(value)
+        : value.toISOString();
+    }
+    return json ? value : String(value);
+  },
+
+  /**
+   * Download a dataset as "csv" or "json"
+   */
+  download(dataset, format, filename) {
+    const blob =
+      format === 'json'
+        ? new Blob([this.toJson(dataset)], { type: 'application/json' })
+        : new Blob([this.toCsv(dataset)], { type: 'text/csv;charset=utf-8' });
+
+    ChartExport.download(blob, `${filename}.${format}`);
+  },
+};
@@ -4,8 +4,18 @@
  */
 
 const DataLoader = {
-  // URL for the rich emoji metadata
-  EMOJI_METADATA_URL: 'https://unpkg.com/emoji-datasource@15.0.0/emoji.json',
+  // emoji-datasource release for the bundled snapshot, the CDN fallback and
+  // the platform images (scripts/build-emoji-snapshot.js reads it from here)
+  EMOJI_DATASOURCE_VERSION: '15.0.1',
+  // Package root on the CDN; append @version/<file>
+  EMOJI_DATASOURCE_CDN: 'https://unpkg.com/emoji-datasource',
+  // Bundled copy of the metadata so the library works offline
+  // (regenerate with scripts/build-emoji-snapshot.js)
+  EMOJI_METADATA_SNAPSHOT_URL: 'data/emoji-datasource-snapshot.json',
+  // Snapshots older than this are flagged as stale in the library header
+  METADATA_STALE_AFTER_DAYS: 365,
+  // Emoji Sentiment Ranking lexicon (Kralj Novak et al., 2015)
+  SENTIMENT_DATA_URL: 'data/Emoji_Sentiment_Data_v1.0.csv',
 
   emojiMap: {
     airplane: '✈️',
@@ -122,10 +132,72 @@ const DataLoader = {
     wrapped_gift: '🎁',
   },
 
+  // Regular time grids for resampleSeries and aggregateData
+  RESAMPLE_INTERVALS: {
+    day: d3.timeDay,
+    week: d3.timeWeek,
+    month: d3.timeMonth,
+    quarter: d3.timeMonth.every(3),
+    year: d3.timeYear,
+  },
+
+  // How resampleSeries estimates each period's usage per day
+  RESAMPLE_METHODS: {
+    interpolate: { label: 'Interpolate between samples' },
+    average: { label: 'Average of samples in period' },
+    carry: { label: 'Carry last sample forward' },
+  },
+
+  // Normalization modes for comparing series of very different magnitude
+  // format: d3.format specifier for axis ticks and tooltip values
+  NORMALIZATION_MODES: {
+    raw: { label: 'Raw Counts', axisLabel: 'Usage per Day', format: ',.0f' },
+    indexed: {
+      label: 'Indexed (first non-zero = 100)',
+      axisLabel: 'Usage Index (first non-zero point = 100)',
+      format: ',.1~f',
+    },
+    share: {
+      label: 'Share of Selected',
+      axisLabel: 'Share of Selected Emojis',
+      format: '.1~%',
+    },
+    minmax: {
+      label: 'Min-Max (0-1)',
+      axisLabel: 'Usage Scaled to Own Range (0-1)',
+      format: '.2~f',
+    },
+    zscore: {
+      label: 'Z-Score',
+      axisLabel: 'Usage Z-Score (σ from own mean)',
+      format: '+.2~f',
+    },
+  },
+
+  // Countries with an Emoji Tracker export (emojitracker_XX.csv).
+  // isoNumeric: ISO 3166-1 numeric code, the feature id in the world map
+  COUNTRIES: {
+    US: { name: 'United States', flag: '🇺🇸', isoNumeric: '840' },
+    AU: { name: 'Australia', flag: '🇦🇺', isoNumeric: '036' },
+    BR: { name: 'Brazil', flag: '🇧🇷', isoNumeric: '076' },
+    DE: { name: 'Germany', flag: '🇩🇪', isoNumeric: '276' },
+    FR: { name: 'France', flag: '🇫🇷', isoNumeric: '250' },
+    GB: { name: 'Great Britain', flag: '🇬🇧', isoNumeric: '826' },
+    IN: { name: 'India', flag: '🇮🇳', isoNumeric: '356' },
+    JP: { name: 'Japan', flag: '🇯🇵', isoNumeric: '392' },
+    PH: { name: 'Philippines', flag: '🇵🇭', isoNumeric: '608' },
+  },
+
   // Cache for the fetched metadata
   metadataCache: null,
+  // Where the cached metadata came from: { origin, version, generated }
+  metadataSource: null,
   // Cache for full enriched list
   fullEmojiListCache: null,
+  // Country code -> promise of its sorted counts (shared by the country views)
+  countryDataCache: new Map(),
+  // Promise of the parsed sentiment lexicon
+  sentimentDataCache: null,
 
   get emojiList() {
     return Object.keys(this.emojiMap);
@@ -139,39 +211,132 @@ const DataLoader = {
   },
 
   /**
-   * Load country-specific emoji usage data
+   * Source CSV for a country's emoji counts
+   */
+  getCountryDataPath(countryCode) {
+    return `data/Emoji by country csvs/emojitracker_${countryCode}.csv`;
+  },
+
+  /**
+   * Source CSV for an emoji's usage time series
+   */
+  getTimeSeriesPath(emojiName) {
+    return `data/emojis_50/${emojiName}.csv`;
+  },
+
+  /**
+   * Load country-specific emoji usage data, sorted by occurrences.
+   * Each country's file is fetched once; failed loads are retried.
    */
   async loadCountryData(countryCode) {
+    if (!this.countryDataCache.has(countryCode)) {
+      this.countryDataCache.set(
+        countryCode,
+        this.fetchCountryData(countryCode).then((data) => {
+          if (data.length === 0) this.countryDataCache.delete(countryCode);
+          return data;
+        })
+      );
+    }
+    return this.countryDataCache.get(countryCode);
+  },
+
+  /**
+   * Load the sentiment lexicon, one row per emoji with its
+   * Negative/Neutral/Positive counts and a score in [-1, 1]
+   * ((positive - negative) / total). Rows that are not emojis by their
+   * Unicode properties have isEmoji false. Loaded once; rejects on failure.
+   */
+  loadSentimentData() {
+    if (!this.sentimentDataCache) {
+      this.sentimentDataCache = d3
+        .csv(this.SENTIMENT_DATA_URL)
+        .then((csvData) => {
+          // Non-emoji symbols (box drawing, arrows...) are kept but flagged,
+          // so views can leave them out
+          return DataValidator.validate(
+            csvData,
+            'sentiment',
+            this.SENTIMENT_DATA_URL
+          )
+            .map((d) => ({
+              emoji: d.Emoji,
+              key: EmojiRegistry.toKey(d.Emoji),
+              isEmoji: EmojiRegistry.isEmoji(d.Emoji),
+              name: d['Unicode name'],
+              block: d['Unicode block'],
+              occurrences: +d.Occurrences,
+              negative: +d.Negative,
+              neutral: +d.Neutral,
+              positive: +d.Positive,
+              position: +d.Position,
+              sentimentScore:
+                (+d.Positive - +d.Negative) /
+                (+d.Positive + +d.Neutral + +d.Negative),
+            }))
+            .filter((d) => d.occurrences > 0); // Filter out zero occurrences
+        })
+        .catch((error) => {
+          this.sentimentDataCache = null;
+          throw error;
+        });
+    }
+    return this.sentimentDataCache;
+  },
+
+  /**
+   * Load every country's list: Map code -> data, leaving out countries
+   * that failed to load
+   */
+  async loadAllCountryData() {
+    const codes = Object.keys(this.COUNTRIES);
+    const datasets = await Promise.all(
+      codes.map((code) => this.loadCountryData(code))
+    );
+    return new Map(
+      codes
+        .map((code, i) => [code, datasets[i]])
+        .filter(([, data]) => data.length > 0)
+    );
+  },
+
+  async fetchCountryData(countryCode) {
     try {
       // Path to the CSV files
       // Ensure the directory structure matches exactly: data/Emoji by country csvs/
-      const path = `data/Emoji by country csvs/emojitracker_${countryCode}.csv`;
+      const path = this.getCountryDataPath(countryCode);
 
       // d3.csv handles spaces in paths, but explicit encoding is safer if issues arise.
       // However, d3 v7 usually works fine with simple paths.
       // Let's try fetching raw text first if d3.csv fails, or just stick to d3.csv and catch error.
 
-      const data = await d3.csv(path);
+      const data = DataValidator.validate(await d3.csv(path), 'country', path);
 
       // Parse "value" column which contains commas: "5,411,438"
       return data
         .map((d) => ({
           emoji: d.code, // The CSV has "code" header for emoji char
+          key: EmojiRegistry.toKey(d.code), // Canonical key for joins
           occurrences: +d.value.replace(/,/g, ''), // Remove commas and convert to number
         }))
         .sort((a, b) => b.occurrences - a.occurrences);
     } catch (error) {
       console.error(
-        `Error loading data for ${countryCode} from path: data/Emoji by country csvs/emojitracker_${countryCode}.csv`,
+        `Error loading data for ${countryCode} from path: ${this.getCountryDataPath(countryCode)}`,
         error
       );
       // Fallback: try to fetch with encoded path just in case
       try {
         const encodedPath = `data/Emoji%20by%20country%20csvs/emojitracker_${countryCode}.csv`;
-        const data = await d3.csv(encodedPath);
+        const data = DataValidator.validate(
+          await d3.csv(encodedPath),
+          'country',
+          this.getCountryDataPath(countryCode)
+        );
         return data
           .map((d) => ({
             emoji: d.code,
+            key: EmojiRegistry.toKey(d.code),
             occurrences: +d.value.replace(/,/g, ''),
           }))
           .sort((a, b) => b.occurrences - a.occurrences);
@@ -197,7 +362,28 @@ const DataLoader = {
   getPlatformImageUrl(unified, platform) {
     // using jsDelivr which is often faster/more reliable than unpkg
     // platform: apple, google, twitter, facebook
-    return `https://cdn.jsdelivr.net/npm/emoji-datasource-${platform}@15.0.0/img/${platform}/64/${unified.toLowerCase()}.png`;
+    return `https://cdn.jsdelivr.net/npm/emoji-datasource-${platform}@${this.EMOJI_DATASOURCE_VERSION}/img/${platform}/64/${unified.toLowerCase()}.png`;
+  },
+
+  /**
+   * CDN URL of the full metadata for an emoji-datasource release
+   */
+  getMetadataUrl(version = this.EMOJI_DATASOURCE_VERSION) {
+    return `${this.EMOJI_DATASOURCE_CDN}@${version}/emoji.json`;
+  },
+
+  /**
+   * Compare two release numbers ("15.0.1"): negative if a is older than b,
+   * positive if newer, 0 if equal
+   */
+  compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
   },
 
   /**
@@ -212,7 +398,12 @@ const DataLoader = {
    */
   async loadEmojiTimeSeries(emojiName) {
     try {
-      const data = await d3.csv(`data/emojis_50/${emojiName}.csv`);
+      const path = this.getTimeSeriesPath(emojiName);
+      const data = DataValidator.validate(
+        await d3.csv(path),
+        'timeSeries',
+        path
+      );
       return this.processTimeSeriesData(data, emojiName);
     } catch (error) {
       console.error(`Error loading data for ${emojiName}:`, error);
@@ -220,22 +411,144 @@ const DataLoader = {
     }
   },
 
+  /**
+   * Load the bundled metadata snapshot
+   */
+  async loadMetadataSnapshot() {
+    const response = await fetch(this.EMOJI_METADATA_SNAPSHOT_URL);
+    if (!response.ok) throw new Error('Failed to load emoji metadata snapshot');
+    const snapshot = await response.json();
+
+    this.metadataCache = DataValidator.validate(
+      snapshot.emojis,
+      'emojiMetadata',
+      this.EMOJI_METADATA_SNAPSHOT_URL
+    );
+    this.metadataSource = {
+      origin: 'snapshot',
+      version: snapshot.version,
+      generated: snapshot.generated,
+    };
+  },
+
+  /**
+   * Load the metadata for one release from the CDN
+   */
+  async loadMetadataFromCdn(version = this.EMOJI_DATASOURCE_VERSION) {
+    console.log('Fetching external emoji metadata...');
+    const url = this.getMetadataUrl(version);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error('Failed to load emoji metadata');
+    this.metadataCache = DataValidator.validate(
+      await response.json(),
+      'emojiMetadata',
+      url
+    );
+
+    this.metadataSource = {
+      origin: 'cdn',
+      version,
+      generated: new Date().toISOString().slice(0, 10),
+    };
+  },
+
+  /**
+   * Latest emoji-datasource release published on the CDN
+   */
+  async fetchLatestMetadataVersion() {
+    const response = await fetch(
+      `${this.EMOJI_DATASOURCE_CDN}@latest/package.json`
+    );
+    if (!response.ok) throw new Error('Failed to check emoji-datasource');
+    const { version } = await response.json();
+    if (!version) throw new Error('No version in emoji-datasource package');
+    return version;
+  },
+
+  /**
+   * Load emoji metadata, preferring the bundled snapshot.
+   * Falls back to the CDN if the snapshot is missing.
+   */
+  async loadEmojiMetadata() {
+    try {
+      await this.loadMetadataSnapshot();
+    } catch (error) {
+      console.warn('Emoji metadata snapshot unavailable, trying CDN:', error);
+      await this.loadMetadataFromCdn();
+    }
+  },
+
+  /**
+   * Replace the cached metadata with the latest release on the CDN, but
+   * only if it is newer than the one in use. Keeps the current data if the
+   * CDN is unreachable.
+   * Returns 'updated', 'current' (nothing newer) or 'failed'.
+   */
+  async refreshMetadataFromCdn() {
+    const previous = {
+      metadata: this.metadataCache,
+      source: this.metadataSource,
+    };
+
+    try {
+      const latest = await this.fetchLatestMetadataVersion();
+      const current = previous.source
+        ? previous.source.version
+        : this.EMOJI_DATASOURCE_VERSION;
+      if (previous.metadata && this.compareVersions(latest, current) <= 0) {
+        return 'current';
+      }
+
+      await this.loadMetadataFromCdn(latest);
+      this.fullEmojiListCache = null;
+      return 'updated';
+    } catch (error) {
+      console.warn('CDN refresh failed, keeping current metadata:', error);
+      this.metadataCache = previous.metadata;
+      this.metadataSource = previous.source;
+      return 'failed';
+    }
+  },
+
+  /**
+   * Describe the metadata currently in use (for the library header)
+   */
+  getMetadataStatus() {
+    if (!this.metadataSource) return null;
+
+    const { origin, version, generated } = this.metadataSource;
+    const ageDays = generated
+      ? Math.floor((Date.now() - new Date(generated)) / 86400000)
+      : null;
+
+    return {
+      origin,
+      version,
+      generated,
+      ageDays,
+      isStale:
+        origin === 'snapshot' &&
+        ageDays !== null &&
+        ageDays > this.METADATA_STALE_AFTER_DAYS,
+    };
+  },
+
   /**
    * Fetch All Emojis with Metadata
-   * Returns the complete list from the API, enriched with local scores if available.
+   * Returns the complete list from the metadata, enriched with local scores if available.
    */
   async fetchFullEmojiList() {
     try {
       if (this.fullEmojiListCache) return this.fullEmojiListCache;
 
-      // 1. Fetch Metadata if not cached
+      // 1. Load Metadata if not cached (bundled snapshot, CDN as fallback)
       if (!this.metadataCache) {
-        console.log('Fetching external emoji metadata...');
-        const response = await fetch(this.EMOJI_METADATA_URL);
-        if (!response.ok) throw new Error('Failed to load emoji metadata');
-        this.metadataCache = await response.json();
+        await this.loadEmojiMetadata();
       }
 
+      // Canonical identities link metadata entries to local slugs
+      await EmojiRegistry.init();
+
       // 2. Pre-calculate local scores to avoid repeated async calls in loop
       const localScores = new Map();
       await Promise.all(
@@ -253,12 +566,9 @@ const DataLoader = {
       // 3. Process ALL metadata items
       this.fullEmojiListCache = this.metadataCache.map((meta) => {
         // Check if we have local data for this emoji
-        // We match by short_name or short_names
-        const localSlug = this.emojiList.find(
-          (slug) =>
-            slug === meta.short_name ||
-            (meta.short_names && meta.short_names.includes(slug))
-        );
+        // Matched by canonical identity, so misspelled slugs still resolve
+        const record = EmojiRegistry.resolve(meta.unified);
+        const localSlug = record ? record.slug : null;
 
         const hasLocalData = !!localSlug;
         const score = hasLocalData ? localScores.get(localSlug) || 0 : 0;
@@ -266,6 +576,7 @@ const DataLoader = {
 
         return {
           id: meta.short_name, // Use short_name as ID
+          key: record ? record.key : null, // Canonical key for joins
           localId: localSlug, // Keep track if it maps to our local CSVs
           name: (() => {
             const raw = meta.name || meta.short_name.replace(/_/g, ' ');
@@ -306,6 +617,8 @@ const DataLoader = {
     if (!this.fullEmojiListCache) {
       await this.fetchFullEmojiList();
     }
+    // Metadata could not be loaded from the snapshot or the CDN
+    if (!this.fullEmojiListCache) return null;
 
     const emoji = this.fullEmojiListCache.find((e) => e.id === id);
     if (!emoji) return null;
@@ -375,6 +688,7 @@ const DataLoader = {
   processTimeSeriesData(data, emojiName) {
     const parseDate = d3.timeParse('%Y-%m-%d');
     const emojiChar = this.getEmojiChar(emojiName);
+    const key = EmojiRegistry.toKey(emojiChar);
 
     return data
       .map((d) => ({
@@ -382,30 +696,137 @@ const DataLoader = {
         usage: +d.usage,
         emoji: emojiName,
         emojiChar: emojiChar,
+        key: key,
       }))
       .sort((a, b) => a.date - b.date);
   },
 
   /**
-   * Aggregate data by time granularity
+   * Resample a series from loadEmojiTimeSeries onto a regular grid.
+   *
+   * The CSVs hold one day's usage every few weeks, so each period gets an
+   * estimated usage per day rather than a sum of however many samples it
+   * happens to contain. Periods without a sample are flagged `missing`; with
+   * the `average` method their usage is null.
+   *
+   * Returns [{ date, usage, samples, missing, emoji, emojiChar, key }]
+   */
+  resampleSeries(data, granularity = 'month', method = 'interpolate') {
+    const interval = this.RESAMPLE_INTERVALS[granularity] || d3.timeMonth;
+    const samples = data
+      .filter((d) => d.date && !isNaN(d.usage))
+      .sort((a, b) => a.date - b.date);
+    if (samples.length === 0) return [];
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const periods = interval.range(
+      interval.floor(first.date),
+      interval.offset(interval.floor(last.date), 1)
+    );
+    const samplesByPeriod = d3.group(samples, (d) => +interval.floor(d.date));
+
+    // Estimated usage on a given day (null outside the sampled range)
+    const bisect = d3.bisector((d) => d.date).right;
+    const estimate = (day) => {
+      const i = bisect(samples, day);
+      const prev = samples[i - 1];
+      const next = samples[i];
+      if (!prev) return null;
+      if (method === 'carry' || +prev.date === +day) return prev.usage;
+      if (!next) return null;
+
+      const t = (day - prev.date) / (next.date - prev.date);
+      return prev.usage + t * (next.usage - prev.usage);
+    };
+
+    return periods.map((start) => {
+      const inPeriod = samplesByPeriod.get(+start) || [];
+
+      let usage;
+      if (method === 'average') {
+        usage = d3.mean(inPeriod, (d) => d.usage);
+      } else {
+        const days = d3.timeDay.range(start, interval.offset(start, 1));
+        usage = d3.mean(days, estimate);
+      }
+
+      return {
+        date: start,
+        usage: usage === undefined ? null : Math.round(usage),
+        samples: inPeriod.length,
+        missing: inPeriod.length === 0,
+        emoji: first.emoji,
+        emojiChar: first.emojiChar,
+        key: first.key,
+      };
+    });
+  },
+
+  /**
+   * Normalize a set of series ([{ values: [{ date, usage }] }]) in place.
+   * Each point gets a `value` in the chosen mode (raw usage is kept), and
+   * each series gets `normalization` stats used for legend annotations.
+   */
+  normalizeSeries(series, mode = 'raw') {
+    // Share mode: total usage across all series at each date
+    const totals = d3.rollup(
+      series.flatMap((s) => s.values),
+      (v) => d3.sum(v, (d) => d.usage),
+      (d) => +d.date
+    );
+
+    series.forEach((s) => {
+      const usages = s.values.map((d) => d.usage);
+      // Indexed mode divides by the first non-zero point, so series that
+      // start at zero (or with a gap) still get a usable base
+      const first = s.values.find((d) => d.usage > 0);
+      const stats = {
+        mode: mode,
+        base: first ? first.usage : null,
+        min: d3.min(usages),
+        max: d3.max(usages),
+        mean: d3.mean(usages),
+        deviation: d3.deviation(usages) || 0,
+      };
+
+      const normalize = {
+        raw: (d) => d.usage,
+        indexed: (d) => (stats.base ? (d.usage / stats.base) * 100 : 0),
+        share: (d) => {
+          const total = totals.get(+d.date);
+          return total ? d.usage / total : 0;
+        },
+        minmax: (d) =>
+          stats.max > stats.min
+            ? (d.usage - stats.min) / (stats.max - stats.min)
+            : 0,
+        zscore: (d) =>
+          stats.deviation ? (d.usage - stats.mean) / stats.deviation : 0,
+      }[mode];
+
+      // Periods with no estimate stay empty (drawn as gaps)
+      s.values = s.values.map((d) => ({
+        ...d,
+        value: d.usage === null ? null : normalize(d),
+      }));
+      s.normalization = stats;
+    });
+
+    return series;
+  },
+
+  /**
+   * Aggregate data by time granularity.
+   * Sums whatever samples fall in each period, so for the irregularly sampled
+   * trend series prefer resampleSeries.
    */
   aggregateData(data, granularity) {
     if (granularity === 'day') return data;
 
     const grouped = d3.group(data, (d) => {
-      const date = new Date(d.date);
-      switch (granularity) {
-        case 'month':
-          return new Date(date.getFullYear(), date.getMonth(), 1);
-        case 'year':
-          return new Date(date.getFullYear(), 0, 1);
-        case 'week':
-          const day = date.getDay();
-          const diff = date.getDate() - day;
-          return new Date(date.setDate(diff));
-        default:
-          return d.date;
-      }
+      const interval = this.RESAMPLE_INTERVALS[granularity];
+      return interval ? interval.floor(d.date) : d.date;
     });
 
     return Array.from(grouped, ([date, values]) => ({
@@ -413,6 +834,7 @@ const DataLoader = {
       usage: d3.sum(values, (d) => d.usage),
       emoji: values[0].emoji,
       emojiChar: values[0].emojiChar,
+      key: values[0].key,
     })).sort((a, b) => a.date - b.date);
   },
 };
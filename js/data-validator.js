@@ -0,0 +1,367 @@
+/**
+ * Data Validator Module
+ * Checks every loaded dataset against a declared schema, drops rows that
+ * would render as broken marks, and keeps a per-file data-quality report.
+ * Open the page with ?debug to show the report panel.
+ */
+
+const DataValidator = {
+  // Column specs: type (string, number, integer, date), required, min, max,
+  // pattern, format (dates), thousands (numbers written as "5,411,438")
+  SCHEMAS: {
+    timeSeries: {
+      label: 'Emoji usage time series',
+      columns: {
+        day: { type: 'date', format: '%Y-%m-%d', required: true },
+        usage: { type: 'integer', min: 0, required: true },
+      },
+      unique: ['day'],
+    },
+    country: {
+      label: 'Country emoji counts',
+      columns: {
+        code: { type: 'string', required: true },
+        value: { type: 'integer', min: 0, thousands: true, required: true },
+      },
+      unique: ['code'],
+    },
+    sentiment: {
+      label: 'Emoji sentiment ranking',
+      columns: {
+        Emoji: { type: 'string', required: true },
+        'Unicode codepoint': { type: 'string', pattern: /^0x[0-9a-f]+$/i },
+        Occurrences: { type: 'integer', min: 0, required: true },
+        Position: { type: 'number', min: 0, max: 1 },
+        Negative: { type: 'integer', min: 0, required: true },
+        Neutral: { type: 'integer', min: 0, required: true },
+        Positive: { type: 'integer', min: 0, required: true },
+        'Unicode name': { type: 'string' },
+        'Unicode block': { type: 'string' },
+      },
+      unique: ['Emoji'],
+      rowChecks: [
+        {
+          message: 'Negative + Neutral + Positive does not equal Occurrences',
+          test: (row) =>
+            +row.Negative + +row.Neutral + +row.Positive === +row.Occurrences,
+        },
+      ],
+    },
+    usage: {
+      label: 'Emoji usage survey',
+      columns: {
+        Emoji: { type: 'string', required: true },
+        Context: { type: 'string', required: true },
+        Platform: { type: 'string', required: true },
+        'User Age': { type: 'integer', min: 13, max: 100, required: true },
+        'User Gender': { type: 'string' },
+      },
+    },
+    emojiMetadata: {
+      label: 'Emoji metadata (emoji-datasource)',
+      columns: {
+        unified: {
+          type: 'string',
+          required: true,
+          pattern: /^[0-9A-F]{4,6}(-[0-9A-F]{4,6})*$/,
+        },
+        short_name: { type: 'string', required: true },
+        category: { type: 'string' },
+      },
+      unique: ['unified'],
+    },
+  },
+
+  // Issue types; rows with a `drops` issue are left out of the returned data
+  ISSUE_TYPES: {
+    'empty-file': { label: 'Empty file', drops: true },
+    'missing-column': { label: 'Missing column', drops: true },
+    'missing-value': { label: 'Missing value', drops: true },
+    malformed: { label: 'Malformed value', drops: true },
+    'unparseable-date': { label: 'Unparseable date', drops: true },
+    'out-of-range': { label: 'Out of range', drops: true },
+    duplicate: { label: 'Duplicate row', drops: true },
+    inconsistent: { label: 'Inconsistent row', drops: false },
+  },
+
+  // Issues kept per file for the panel (counts are always complete)
+  MAX_EXAMPLES: 50,
+
+  reports: new Map(), // source -> report
+  renderTimer: null,
+
+  /**
+   * Validate rows loaded from `source` against a schema.
+   * Returns the rows that passed; the report is kept in `reports`.
+   */
+  validate(rows, schemaName, source) {
+    const schema = this.SCHEMAS[schemaName];
+    const report = {
+      source,
+      schema: schemaName,
+      label: schema.label,
+      total: rows.length,
+      valid: 0,
+      counts: {},
+      issues: [],
+      checkedAt: new Date(),
+    };
+    const addIssue = (issue) => {
+      report.counts[issue.type] = (report.counts[issue.type] || 0) + 1;
+      if (report.issues.length < this.MAX_EXAMPLES) report.issues.push(issue);
+    };
+
+    let valid = [];
+    const columns = rows.columns || Object.keys(rows[0] || {});
+    const missingColumns = Object.entries(schema.columns)
+      .filter(([name, spec]) => spec.required && !columns.includes(name))
+      .map(([name]) => name);
+
+    if (rows.length === 0) {
+      addIssue({ type: 'empty-file', message: 'No rows' });
+    } else if (rows.columns && missingColumns.length > 0) {
+      // Only CSVs declare columns up front; JSON rows are checked one by one
+      missingColumns.forEach((column) =>
+        addIssue({
+          type: 'missing-column',
+          column,
+          message: `Required column "${column}" not found`,
+        })
+      );
+    } else {
+      valid = this.validateRows(rows, schema, addIssue);
+    }
+
+    report.valid = valid.length;
+    this.reports.set(source, report);
+    this.logReport(report);
+    this.scheduleRender();
+
+    return valid;
+  },
+
+  /**
+   * Check each row's values, duplicates and row-level rules
+   */
+  validateRows(rows, schema, addIssue) {
+    const seen = new Map(); // unique key -> first line
+    // Line numbers as in the file: 1-based, after a CSV header row
+    const lineOf = (index) => index + (rows.columns ? 2 : 1);
+
+    return rows.filter((row, index) => {
+      const line = lineOf(index);
+      let drop = false;
+
+      Object.entries(schema.columns).forEach(([column, spec]) => {
+        const problem = this.checkValue(row[column], spec);
+        if (!problem) return;
+
+        addIssue({ line, column, value: row[column], ...problem });
+        if (this.ISSUE_TYPES[problem.type].drops) drop = true;
+      });
+      if (drop) return false;
+
+      if (schema.unique) {
+        const key = schema.unique.map((column) => row[column]).join('|');
+        if (seen.has(key)) {
+          addIssue({
+            type: 'duplicate',
+            line,
+            column: schema.unique.join(', '),
+            value: key,
+            message: `Duplicate of line ${seen.get(key)}`,
+          });
+          return false;
+        }
+        seen.set(key, line);
+      }
+
+      (schema.rowChecks || []).forEach((check) => {
+        if (!check.test(row)) {
+          addIssue({ type: 'inconsistent', line, message: check.message });
+        }
+      });
+
+      return true;
+    });
+  },
+
+  /**
+   * Check one value against its column spec.
+   * Returns null if it is valid, else { type, message }.
+   */
+  checkValue(raw, spec) {
+    const isEmpty =
+      raw === undefined || raw === null || String(raw).trim() === '';
+    if (isEmpty) {
+      return spec.required
+        ? { type: 'missing-value', message: 'Required value is empty' }
+        : null;
+    }
+
+    const text = String(raw).trim();
+
+    if (spec.type === 'date') {
+      // d3 rolls impossible dates over (2013-13-01 -> 2014-01-01), so
+      // require the date to format back to the same text
+      const date = d3.timeParse(spec.format)(text);
+      return date && d3.timeFormat(spec.format)(date) === text
+        ? null
+        : {
+            type: 'unparseable-date',
+            message: `Expected a date like ${spec.format}`,
+          };
+    }
+
+    if (spec.type === 'number' || spec.type === 'integer') {
+      const cleaned = spec.thousands ? text.replace(/,/g, '') : text;
+      const value = Number(cleaned);
+      if (cleaned === '' || !Number.isFinite(value)) {
+        return { type: 'malformed', message: 'Not a number' };
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return { type: 'malformed', message: 'Not a whole number' };
+      }
+      if (
+        (spec.min !== undefined && value < spec.min) ||
+        (spec.max !== undefined && value > spec.max)
+      ) {
+        return {
+          type: 'out-of-range',
+          message: `Outside ${spec.min ?? '-∞'}–${spec.max ?? '∞'}`,
+        };
+      }
+      return null;
+    }
+
+    if (spec.pattern && !spec.pattern.test(text)) {
+      return { type: 'malformed', message: `Does not match ${spec.pattern}` };
+    }
+
+    return null;
+  },
+
+  /**
+   * Issues summed over all types
+   */
+  countIssues(report) {
+    return d3.sum(Object.values(report.counts));
+  },
+
+  logReport(report) {
+    const issueCount = this.countIssues(report);
+    if (issueCount === 0) return;
+
+    const summary = Object.entries(report.counts)
+      .map(([type, count]) => `${count} ${this.ISSUE_TYPES[type].label}`)
+      .join(', ');
+    console.warn(
+      `Data quality: ${report.source} has ${issueCount} issue(s): ${summary}.`,
+      `${report.valid} of ${report.total} rows kept.`
+    );
+  },
+
+  /**
+   * The panel is developer-facing: only shown with ?debug in the URL
+   */
+  isPanelEnabled() {
+    return new URLSearchParams(window.location.search).has('debug');
+  },
+
+  scheduleRender() {
+    if (!this.isPanelEnabled()) return;
+    clearTimeout(this.renderTimer);
+    // Files load in bursts (e.g. all 50 series for the library scores)
+    this.renderTimer = setTimeout(() => this.renderPanel(), 200);
+  },
+
+  /**
+   * List every validated file with its issue counts and example issues
+   */
+  renderPanel() {
+    let panel = d3.select('#data-quality-panel');
+    if (panel.empty()) {
+      panel = d3
+        .select('body')
+        .append('aside')
+        .attr('id', 'data-quality-panel')
+        .attr('class', 'data-quality-panel collapsed');
+
+      const header = panel.append('button').attr('class', 'dq-toggle');
+      header.on('click', () =>
+        panel.classed('collapsed', !panel.classed('collapsed'))
+      );
+      panel.append('div').attr('class', 'dq-body');
+    }
+
+    const reports = Array.from(this.reports.values()).sort(
+      (a, b) =>
+        this.countIssues(b) - this.countIssues(a) ||
+        a.source.localeCompare(b.source)
+    );
+    const filesWithIssues = reports.filter((r) => this.countIssues(r) > 0);
+
+    panel
+      .classed('has-issues', filesWithIssues.length > 0)
+      .select('.dq-toggle')
+      .text(
+        `Data quality · ${reports.length} files · ${filesWithIssues.length} with issues`
+      );
+
+    const body = panel.select('.dq-body').html('');
+
+    reports.forEach((report) => {
+      const issueCount = this.countIssues(report);
+      const file = body
+        .append('details')
+        .attr('class', 'dq-file')
+        .classed('dq-clean', issueCount === 0);
+
+      const summary = file.append('summary');
+      summary.append('span').attr('class', 'dq-source').text(report.source);
+      summary
+        .append('span')
+        .attr('class', 'dq-rows')
+        .text(
+          issueCount === 0
+            ? `✓ ${report.total} rows`
+            : `${report.valid}/${report.total} rows kept`
+        );
+
+      if (issueCount === 0) return;
+
+      file
+        .append('div')
+        .attr('class', 'dq-counts')
+        .selectAll('span')
+        .data(Object.entries(report.counts))
+        .enter()
+        .append('span')
+        .attr('class', 'dq-count')
+        .text(([type, count]) => `${this.ISSUE_TYPES[type].label}: ${count}`);
+
+      const rows = file
+        .append('table')
+        .attr('class', 'dq-issues')
+        .selectAll('tr')
+        .data(report.issues)
+        .enter()
+        .append('tr');
+
+      rows.append('td').text((d) => (d.line ? `line ${d.line}` : ''));
+      rows.append('td').text((d) => d.column || '');
+      rows
+        .append('td')
+        .attr('class', 'dq-value')
+        .text((d) => (d.value !== undefined ? JSON.stringify(d.value) : ''));
+      rows.append('td').text((d) => d.message);
+
+      if (issueCount > report.issues.length) {
+        file
+          .append('p')
+          .attr('class', 'dq-more')
+          .text(`Showing the first ${report.issues.length} of ${issueCount}`);
+      }
+    });
+  },
+};
@@ -0,0 +1,256 @@
+/**
+ * Emoji Registry Module
+ * Canonical identity layer that resolves every key used across the datasets
+ * (local slugs, characters, hex codepoints, metadata short names) to one record
+ */
+
+const EmojiRegistry = {
+  // Variation selectors (text/emoji presentation) are ignored for identity
+  VARIATION_SELECTORS: new Set([0xfe0e, 0xfe0f]),
+  ZWJ: 0x200d,
+  // A character is an emoji if any of its code points is a pictograph, shows
+  // as an emoji by default, is half of a flag or is the keycap mark. Box
+  // drawing, arrows, dingbat stars and circled letters have none of these.
+  EMOJI_PATTERN:
+    /\p{Extended_Pictographic}|\p{Emoji_Presentation}|\p{Regional_Indicator}|\u20e3/u,
+
+  SKIN_TONES: {
+    '1F3FB': 'light',
+    '1F3FC': 'medium-light',
+    '1F3FD': 'medium',
+    '1F3FE': 'medium-dark',
+    '1F3FF': 'dark',
+  },
+
+  // Corrected spellings for slugs that are misspelled in data/emojis_50/
+  SLUG_ALIASES: {
+    italy: 'itlay',
+  },
+
+  // Lookup indexes, built by init()
+  records: new Map(), // canonical key -> record
+  shortNameIndex: new Map(), // short name -> canonical key
+  slugIndex: new Map(), // local slug -> canonical key
+  initialized: false,
+
+  /**
+   * Build the registry from the emoji metadata and the local slug map
+   */
+  async init() {
+    if (this.initialized) return this;
+
+    if (!DataLoader.metadataCache) {
+      try {
+        await DataLoader.loadEmojiMetadata();
+      } catch (error) {
+        console.warn('Emoji registry built without metadata:', error);
+      }
+    }
+
+    (DataLoader.metadataCache || []).forEach((meta) =>
+      this.registerMetadata(meta)
+    );
+
+    Object.entries(DataLoader.emojiMap).forEach(([slug, char]) => {
+      const record = this.getOrCreate(char);
+      record.slug = slug;
+      this.slugIndex.set(slug, record.key);
+    });
+
+    this.initialized = true;
+    return this;
+  },
+
+  /**
+   * Add a metadata entry (and its skin tone variations) to the registry
+   */
+  registerMetadata(meta) {
+    const record = this.getOrCreate(DataLoader.unifiedToChar(meta.unified));
+    Object.assign(record, {
+      char: DataLoader.unifiedToChar(meta.unified),
+      unified: meta.unified,
+      name: meta.name || record.name,
+      shortName: meta.short_name,
+      shortNames: meta.short_names || [meta.short_name],
+      category: meta.category || null,
+      subcategory: meta.subcategory || null,
+      inMetadata: true,
+    });
+
+    record.shortNames.forEach((shortName) =>
+      this.shortNameIndex.set(shortName, record.key)
+    );
+
+    Object.values(meta.skin_variations || {}).forEach((variation) => {
+      const toned = this.getOrCreate(
+        DataLoader.unifiedToChar(variation.unified)
+      );
+      Object.assign(toned, {
+        char: DataLoader.unifiedToChar(variation.unified),
+        unified: variation.unified,
+        name: record.name,
+        shortName: record.shortName,
+        category: record.category,
+        subcategory: record.subcategory,
+        inMetadata: true,
+      });
+    });
+  },
+
+  /**
+   * Parse a hex codepoint key ("U+1F602", "0x1f602", "1F468-200D-1F469")
+   * Returns the character, or null if the input is not a codepoint list.
+   * Without a U+ or 0x prefix the result must be an emoji, so words that
+   * look like hex ("cafe", "face") are not read as codepoints.
+   */
+  parseCodepoints(input) {
+    const hexPattern =
+      /^(?:U\+|0x)?[0-9a-f]{4,6}(?:[-\s_]+(?:U\+|0x)?[0-9a-f]{4,6})*$/i;
+    if (!hexPattern.test(input)) return null;
+
+    const codepoints = input
+      .split(/[-\s_]+/)
+      .map((part) => parseInt(part.replace(/^(U\+|0x)/i, ''), 16));
+    if (codepoints.some((cp) => cp > 0x10ffff)) return null;
+
+    const char = String.fromCodePoint(...codepoints);
+    const prefixed = /^(U\+|0x)/i.test(input);
+    return prefixed || this.isEmoji(char) ? char : null;
+  },
+
+  /**
+   * Canonical key for a character: uppercase hex codepoints joined by "-",
+   * with variation selectors removed. "❤" and "❤️" both map to "2764".
+   */
+  toKey(char) {
+    if (!char) return null;
+
+    return Array.from(char)
+      .map((c) => c.codePointAt(0))
+      .filter((cp) => !this.VARIATION_SELECTORS.has(cp))
+      .map((cp) => cp.toString(16).toUpperCase().padStart(4, '0'))
+      .join('-');
+  },
+
+  /**
+   * Whether a character or sequence is an emoji by its Unicode properties
+   */
+  isEmoji(char) {
+    return this.EMOJI_PATTERN.test(char || '');
+  },
+
+  /**
+   * Canonical key with skin tone modifiers removed
+   */
+  toBaseKey(key) {
+    return key
+      .split('-')
+      .filter((part) => !this.SKIN_TONES[part])
+      .join('-');
+  },
+
+  /**
+   * Describe the structure of a key (flag, ZWJ sequence, skin tone)
+   */
+  describeKey(key) {
+    const parts = key.split('-');
+    const codepoints = parts.map((part) => parseInt(part, 16));
+
+    const isRegionalIndicator = (cp) => cp >= 0x1f1e6 && cp <= 0x1f1ff;
+    const isRegionalFlag =
+      codepoints.length === 2 && codepoints.every(isRegionalIndicator);
+    // Subdivision flags: black flag followed by tag characters
+    const isTagFlag =
+      codepoints[0] === 0x1f3f4 &&
+      codepoints.slice(1).some((cp) => cp >= 0xe0020 && cp <= 0xe007f);
+
+    const skinTone = parts.find((part) => this.SKIN_TONES[part]);
+
+    return {
+      isFlag: isRegionalFlag || isTagFlag,
+      countryCode: isRegionalFlag
+        ? String.fromCharCode(...codepoints.map((cp) => cp - 0x1f1e6 + 65))
+        : null,
+      isZwj: codepoints.includes(this.ZWJ),
+      skinTone: skinTone ? this.SKIN_TONES[skinTone] : null,
+    };
+  },
+
+  /**
+   * Get the record for a character, creating a bare one if unknown
+   */
+  getOrCreate(char) {
+    const key = this.toKey(char);
+    if (!key) return null;
+
+    if (!this.records.has(key)) {
+      this.records.set(key, {
+        key: key,
+        baseKey: this.toBaseKey(key),
+        char: char,
+        unified: key,
+        name: null,
+        shortName: null,
+        shortNames: [],
+        category: null,
+        subcategory: null,
+        slug: null,
+        inMetadata: false,
+        ...this.describeKey(key),
+      });
+    }
+
+    return this.records.get(key);
+  },
+
+  /**
+   * Resolve any emoji key to its canonical record.
+   * Accepts local slugs ("itlay", "us"), metadata short names ("flag-it"),
+   * characters with or without variation selectors, and hex codepoints.
+   * Returns null for input that is neither a known record nor an emoji.
+   */
+  resolve(input) {
+    if (input === null || input === undefined) return null;
+    const value = String(input).trim();
+    if (!value) return null;
+
+    const slug = this.SLUG_ALIASES[value] || value;
+    if (this.slugIndex.has(slug)) {
+      return this.records.get(this.slugIndex.get(slug));
+    }
+
+    const shortName = value.replace(/^:|:$/g, '');
+    if (this.shortNameIndex.has(shortName)) {
+      return this.records.get(this.shortNameIndex.get(shortName));
+    }
+
+    const char = this.parseCodepoints(value) || value;
+    const key = this.toKey(char);
+    if (this.records.has(key)) return this.records.get(key);
+    // Plain words and other text that no record covers are not emojis
+    if (!this.isEmoji(char)) return null;
+
+    return this.getOrCreate(char);
+  },
+
+  /**
+   * Canonical key for any emoji key (see resolve)
+   */
+  keyOf(input) {
+    const record = this.resolve(input);
+    return record ? record.key : null;
+  },
+
+  /**
+   * Index dataset rows by canonical key, for joining across datasets.
+   * Rows sharing a key (e.g. "❤" and "❤️") keep the first occurrence.
+   */
+  indexBy(rows, accessor) {
+    const index = new Map();
+    rows.forEach((row) => {
+      const key = this.keyOf(accessor(row));
+      if (key && !index.has(key)) index.set(key, row);
+    });
+    return index;
+  },
+};
@@ -10,10 +10,18 @@ const App = {
   chartContainer: '#visualization',
   gridContainer: 'emoji-grid',
   currentGranularity: 'month', // Default to month
+  currentNormalization: 'raw', // Key of DataLoader.NORMALIZATION_MODES
+  currentResampleMethod: 'interpolate', // Key of DataLoader.RESAMPLE_METHODS
+  showSpikes: false, // Mark detected spikes on the trends chart
+  spikeCache: new Map(), // emojiName -> spikes from Analysis.detectSpikes
   filters: {
     year: 'all',
   },
   currentCategoryFilter: 'all',
+  selectedCountries: ['US', 'JP'], // Country codes shown as small multiples
+  sharedCountryScale: false, // One y-axis maximum across country panels
+  countryMode: 'top', // 'top' (most used) or 'distinctive' (log-odds)
+  openEmojiId: null, // Emoji shown in the details modal
   itemsToShow: 300, // Pagination state
 
   // Spotlight Configuration
@@ -36,6 +44,13 @@ const App = {
 
     // Populate dropdown
     this.populateDropdown();
+    this.populateNormalizationFilter();
+    this.populateResampleFilter();
+    this.populateCountrySelector();
+
+    // Restore shared state from the URL before controls and views render
+    const urlState = UrlState.read();
+    this.applyUrlState(urlState);
 
     // Initialize Select2 with custom templating
     $('#emoji-selector').select2({
@@ -53,6 +68,20 @@ const App = {
       dropdownAutoWidth: true,
     });
 
+    // Initialize Normalization Select2
+    $('#normalization-filter').select2({
+      minimumResultsForSearch: Infinity,
+      width: '220px',
+      dropdownAutoWidth: true,
+    });
+
+    // Initialize Resampling Select2
+    $('#resample-filter').select2({
+      minimumResultsForSearch: Infinity,
+      width: '220px',
+      dropdownAutoWidth: true,
+    });
+
     // Initialize Category Filter Select2
     $('#category-filter').select2({
       placeholder: 'Filter by Category',
@@ -60,14 +89,10 @@ const App = {
       minimumResultsForSearch: 5,
     });
 
-    // Initialize Country Selectors
-    $('#country-selector-a').select2({
-      width: '200px',
-      minimumResultsForSearch: Infinity,
-    });
-    $('#country-selector-b').select2({
-      width: '200px',
-      minimumResultsForSearch: Infinity,
+    // Initialize Country Selector
+    $('#country-selector').select2({
+      placeholder: 'Pick countries to compare',
+      width: '100%',
     });
 
     // Event Listeners
@@ -91,29 +116,57 @@ const App = {
       this.currentGranularity = granularity;
       this.updateFilterVisibility();
       this.updateVisualizationContext();
+      this.syncUrl();
     });
 
     // Filter Listeners (Select2 uses change event)
     $('#year-filter').on('change', (e) => {
       this.filters.year = e.target.value;
       this.updateVisualizationContext();
+      this.syncUrl();
+    });
+
+    // Metadata refresh (optional, the bundled snapshot works offline)
+    $('#metadata-refresh-btn').on('click', () => this.refreshRankings());
+
+    $('#normalization-filter').on('change', (e) => {
+      this.currentNormalization = e.target.value;
+      this.updateVisualizationContext();
+      this.syncUrl();
+    });
+
+    $('#resample-filter').on('change', (e) => {
+      this.currentResampleMethod = e.target.value;
+      this.updateVisualizationContext();
+      this.syncUrl();
+    });
+
+    // Spike markers toggle
+    $('#show-spikes').on('change', (e) => {
+      this.showSpikes = e.target.checked;
+      this.updateVisualizationContext();
+      this.syncUrl();
     });
 
+    // Spike finder (scans every local emoji series)
+    $('#scan-spikes-btn').on('click', () => this.renderSpikeFinder());
+
     // Category Filter Listener
     $('#category-filter').on('change', (e) => {
       this.currentCategoryFilter = e.target.value;
       this.itemsToShow = 300; // Reset pagination on filter change
       this.renderFilteredGrid();
+      this.syncUrl();
     });
 
     // Modal Close
     $('.close-modal').on('click', () => {
-      $('#emoji-modal').fadeOut();
+      this.closeEmojiDetails();
     });
 
     $(window).on('click', (e) => {
       if ($(e.target).is('#emoji-modal')) {
-        $('#emoji-modal').fadeOut();
+        this.closeEmojiDetails();
       }
     });
 
@@ -145,6 +198,165 @@ const App = {
 
     // Window resize handler for carousel height
     $(window).on('resize', () => this.updateSpotlightHeight());
+
+    // Views that load data on demand
+    if (this.selectedEmojis.size > 0) {
+      this.handleSelectionChange(Array.from(this.selectedEmojis));
+    }
+    if (urlState.emoji) {
+      this.openEmojiDetails({ id: urlState.emoji });
+    }
+
+    // Canonicalize the URL, then follow back/forward
+    this.syncUrl({ replace: true });
+    UrlState.onChange((state) => this.restoreFromUrl(state));
+  },
+
+  /**
+   * Explorer state as URL parameters (most defaults are omitted)
+   */
+  getUrlState() {
+    return {
+      emojis: Array.from(this.selectedEmojis).join(','),
+      granularity:
+        this.currentGranularity !== 'month' ? this.currentGranularity : null,
+      year: this.filters.year !== 'all' ? this.filters.year : null,
+      scale:
+        this.currentNormalization !== 'raw' ? this.currentNormalization : null,
+      resample:
+        this.currentResampleMethod !== 'interpolate'
+          ? this.currentResampleMethod
+          : null,
+      spikes: this.showSpikes ? '1' : null,
+      countries: this.selectedCountries.join(','),
+      sharedY: this.sharedCountryScale ? '1' : null,
+      countryMode: this.countryMode !== 'top' ? this.countryMode : null,
+      // Replaced by `countries`; dropped from links opened with them
+      countryA: null,
+      countryB: null,
+      category:
+        this.currentCategoryFilter !== 'all'
+          ? this.currentCategoryFilter
+          : null,
+      emoji: this.openEmojiId,
+    };
+  },
+
+  /**
+   * Write the current state to the URL (one history entry per change)
+   */
+  syncUrl(options) {
+    UrlState.update(this.getUrlState(), options);
+  },
+
+  /**
+   * Set state and control values from URL parameters without rendering
+   */
+  applyUrlState(state) {
+    const validEmojis = UrlState.readList(state.emojis).filter(
+      (emoji) => DataLoader.emojiMap[emoji]
+    );
+    this.selectedEmojis = new Set(validEmojis);
+    $('#emoji-selector').val(validEmojis).trigger('change.select2');
+
+    this.currentGranularity = ['week', 'quarter', 'year'].includes(
+      state.granularity
+    )
+      ? state.granularity
+      : 'month';
+    $('.granularity-controls .btn-pill').each((i, btn) => {
+      $(btn).toggleClass(
+        'active',
+        $(btn).data('granularity') === this.currentGranularity
+      );
+    });
+    $('#year-filter')
+      .next('.select2-container')
+      .toggle(this.currentGranularity !== 'year');
+
+    // Year options only exist once data is loaded (see populateYearFilter)
+    this.filters.year = state.year || 'all';
+
+    this.currentNormalization = DataLoader.NORMALIZATION_MODES[state.scale]
+      ? state.scale
+      : 'raw';
+    $('#normalization-filter')
+      .val(this.currentNormalization)
+      .trigger('change.select2');
+
+    this.currentResampleMethod = DataLoader.RESAMPLE_METHODS[state.resample]
+      ? state.resample
+      : 'interpolate';
+    $('#resample-filter')
+      .val(this.currentResampleMethod)
+      .trigger('change.select2');
+
+    this.showSpikes = state.spikes === '1';
+    $('#show-spikes').prop('checked', this.showSpikes);
+
+    // Links from before small multiples name two countries as countryA/B
+    const countries =
+      state.countries !== undefined
+        ? UrlState.readList(state.countries)
+        : [state.countryA || 'US', state.countryB || 'JP'];
+    this.selectedCountries = Object.keys(DataLoader.COUNTRIES).filter((code) =>
+      countries.includes(code)
+    );
+    $('#country-selector')
+      .val(this.selectedCountries)
+      .trigger('change.select2');
+
+    this.sharedCountryScale = state.sharedY === '1';
+    $('#country-shared-scale').prop('checked', this.sharedCountryScale);
+
+    this.countryMode =
+      state.countryMode === 'distinctive' ? 'distinctive' : 'top';
+    $('.country-mode-controls .btn-pill').each((i, btn) => {
+      $(btn).toggleClass('active', $(btn).data('mode') === this.countryMode);
+    });
+
+    // Category options are populated with the rankings (see loadRankings)
+    this.currentCategoryFilter = state.category || 'all';
+    $('#category-filter')
+      .val(this.currentCategoryFilter)
+      .trigger('change.select2');
+  },
+
+  /**
+   * Re-render every view for a history entry (back/forward)
+   */
+  async restoreFromUrl(state) {
+    const previousCountries = this.selectedCountries.join(',');
+    const previousSharedScale = this.sharedCountryScale;
+    const previousCountryMode = this.countryMode;
+    const previousCategory = this.currentCategoryFilter;
+
+    this.applyUrlState(state);
+
+    // Trends chart
+    await this.handleSelectionChange(Array.from(this.selectedEmojis));
+
+    // Country charts, only if the selection, scale or mode changed
+    if (
+      this.selectedCountries.join(',') !== previousCountries ||
+      this.sharedCountryScale !== previousSharedScale ||
+      this.countryMode !== previousCountryMode
+    ) {
+      await this.renderCountryGrid();
+    }
+
+    // Emoji library
+    if (this.currentCategoryFilter !== previousCategory) {
+      this.itemsToShow = 300;
+      this.renderFilteredGrid();
+    }
+
+    // Details modal
+    if (state.emoji && state.emoji !== this.openEmojiId) {
+      await this.openEmojiDetails({ id: state.emoji });
+    } else if (!state.emoji && this.openEmojiId) {
+      this.closeEmojiDetails();
+    }
   },
 
   /**
@@ -205,8 +417,8 @@ const App = {
       return;
     }
 
-    // Aggregate by month for better trend visibility in spotlight
-    const aggregatedData = DataLoader.aggregateData(rawData, 'month');
+    // Resample to months for better trend visibility in spotlight
+    const aggregatedData = DataLoader.resampleSeries(rawData, 'month');
 
     const chartData = [
       {
@@ -225,6 +437,7 @@ const App = {
       granularity: 'month',
       context: { year: 'all' },
       colors: ['#ff6b6b'], // Use primary color
+      exportMeta: { sources: [DataLoader.getTimeSeriesPath(id)] },
     });
 
     // Final height update after chart render
@@ -318,82 +531,161 @@ const App = {
    * Initialize Country View
    */
   async initCountryView() {
-    const selectorA = $('#country-selector-a');
-    const selectorB = $('#country-selector-b');
-
-    // Initial Load
-    await Promise.all([
-      this.loadAndRenderCountry(
-        selectorA.val(),
-        'country-chart-a',
-        'title-country-a'
-      ),
-      this.loadAndRenderCountry(
-        selectorB.val(),
-        'country-chart-b',
-        'title-country-b'
-      ),
-    ]);
+    await this.renderCountryGrid();
 
     // Listeners
-    selectorA.on('change', async (e) => {
-      await this.loadAndRenderCountry(
-        e.target.value,
-        'country-chart-a',
-        'title-country-a'
-      );
+    $('#country-selector').on('change', async (e) => {
+      this.selectedCountries = $(e.target).val() || [];
+      this.syncUrl();
+      await this.renderCountryGrid();
     });
 
-    selectorB.on('change', async (e) => {
-      await this.loadAndRenderCountry(
-        e.target.value,
-        'country-chart-b',
-        'title-country-b'
-      );
+    $('#country-shared-scale').on('change', async (e) => {
+      this.sharedCountryScale = e.target.checked;
+      this.syncUrl();
+      await this.renderCountryGrid();
     });
+
+    $('.country-mode-controls .btn-pill').on('click', async (e) => {
+      const btn = $(e.target);
+      $('.country-mode-controls .btn-pill').removeClass('active');
+      btn.addClass('active');
+
+      this.countryMode = btn.data('mode');
+      this.syncUrl();
+      await this.renderCountryGrid();
+    });
+  },
+
+  /**
+   * Render one small-multiple panel per selected country
+   */
+  async renderCountryGrid() {
+    const grid = d3.select('#country-charts');
+    if (grid.empty()) return;
+
+    const codes = this.selectedCountries;
+    grid.selectAll('.country-empty').remove();
+    if (codes.length === 0) {
+      grid.selectAll('.chart-wrapper').remove();
+      grid
+        .append('p')
+        .attr('class', 'country-empty')
+        .text('Pick one or more countries above to compare their top emojis.');
+      return;
+    }
+
+    // Keep existing panels so unchanged countries don't flash
+    const panels = grid.selectAll('.chart-wrapper').data(codes, (code) => code);
+    panels.exit().remove();
+    const entered = panels.enter().append('div').attr('class', 'chart-wrapper');
+    entered
+      .append('h3')
+      .attr('class', 'chart-title-small')
+      .attr('id', (code) => `title-country-${code}`);
+    entered
+      .append('div')
+      .attr('class', 'country-chart')
+      .attr('id', (code) => `country-chart-${code}`);
+    entered.merge(panels).order();
+
+    // Distinctive scores compare each country with all the others
+    let scores = null;
+    if (this.countryMode === 'distinctive') {
+      const countries = await DataLoader.loadAllCountryData();
+      scores = new Map(
+        codes
+          .filter((code) => countries.has(code))
+          .map((code) => [code, Analysis.scoreDistinctiveness(countries, code)])
+      );
+    }
+
+    // A shared scale needs every country's data before the first render
+    let yMax = null;
+    if (this.sharedCountryScale && scores) {
+      yMax = d3.max(scores.values(), (list) =>
+        d3.max(Visualizations.getDistinctiveBars(list), (d) =>
+          Math.abs(d.score)
+        )
+      );
+    } else if (this.sharedCountryScale) {
+      const datasets = await Promise.all(
+        codes.map((code) => DataLoader.loadCountryData(code))
+      );
+      yMax = d3.max(datasets, (data) =>
+        d3.max(data.slice(0, 20), (d) => d.occurrences)
+      );
+    }
+
+    await Promise.all(
+      codes.map((code) =>
+        this.loadAndRenderCountry(
+          code,
+          `country-chart-${code}`,
+          `title-country-${code}`,
+          { yMax, scores: scores ? scores.get(code) : null }
+        )
+      )
+    );
   },
 
-  async loadAndRenderCountry(countryCode, containerId, titleId) {
+  /**
+   * Show a country's panel in the grid (adding it to the selection if
+   * needed) and scroll to it, e.g. from a click on the map
+   */
+  async showCountryPanel(countryCode) {
+    if (!this.selectedCountries.includes(countryCode)) {
+      this.selectedCountries = Object.keys(DataLoader.COUNTRIES).filter(
+        (code) => code === countryCode || this.selectedCountries.includes(code)
+      );
+      $('#country-selector')
+        .val(this.selectedCountries)
+        .trigger('change.select2');
+      this.syncUrl();
+      await this.renderCountryGrid();
+    }
+
+    const panel = $(`#country-chart-${countryCode}`).closest('.chart-wrapper');
+    if (panel.length === 0) return;
+    panel[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    panel.addClass('flash');
+    setTimeout(() => panel.removeClass('flash'), 1500);
+  },
+
+  async loadAndRenderCountry(countryCode, containerId, titleId, options = {}) {
     const container = document.getElementById(containerId);
     const title = document.getElementById(titleId);
     if (!container) return;
 
     container.innerHTML = '<div class="loading-spinner">Loading...</div>';
 
-    // Flag mapping
-    const flags = {
-      US: '🇺🇸',
-      AU: '🇦🇺',
-      BR: '🇧🇷',
-      DE: '🇩🇪',
-      FR: '🇫🇷',
-      GB: '🇬🇧',
-      IN: '🇮🇳',
-      JP: '🇯🇵',
-      PH: '🇵🇭',
-    };
-
-    // Full name mapping
-    const names = {
-      US: 'United States',
-      AU: 'Australia',
-      BR: 'Brazil',
-      DE: 'Germany',
-      FR: 'France',
-      GB: 'Great Britain',
-      IN: 'India',
-      JP: 'Japan',
-      PH: 'Philippines',
-    };
-
+    const { name, flag } = DataLoader.COUNTRIES[countryCode];
     if (title) {
-      title.innerHTML = `Top 20 emojis in ${names[countryCode]} ${flags[countryCode]} (${countryCode})`;
+      title.innerHTML = options.scores
+        ? `Most distinctive emojis in ${name} ${flag} (${countryCode})`
+        : `Top 20 emojis in ${name} ${flag} (${countryCode})`;
     }
 
     const data = await DataLoader.loadCountryData(countryCode);
 
-    if (data && data.length > 0) {
-      Visualizations.renderCountryChart(containerId, data, countryCode);
+    if (data && data.length > 0 && options.scores) {
+      Visualizations.renderDistinctiveChart(
+        containerId,
+        data,
+        options.scores,
+        countryCode,
+        {
+          title: title ? title.textContent : undefined,
+          subtitle: 'Weighted log-odds vs. the other countries · Emoji Tracker',
+          yMax: options.yMax,
+        }
+      );
+    } else if (data && data.length > 0) {
+      Visualizations.renderCountryChart(containerId, data, countryCode, {
+        title: title ? title.textContent : undefined,
+        subtitle: 'Source: Emoji Tracker',
+        yMax: options.yMax,
+      });
     } else {
       container.innerHTML =
         '<div style="text-align:center; padding: 20px; color: red;">Failed to load data.</div>';
@@ -509,11 +801,20 @@ const App = {
 
     // Fetch FULL list now
     this.rankingsData = await DataLoader.fetchFullEmojiList();
+    this.renderMetadataStatus();
 
     if (this.rankingsData && this.rankingsData.length > 0) {
       // Populate Category Filter
       this.populateCategoryFilter(this.rankingsData);
 
+      // Re-select a category restored from the URL now that it is an option
+      const select = $('#category-filter');
+      const options = Array.from(select[0].options).map((o) => o.value);
+      if (!options.includes(this.currentCategoryFilter)) {
+        this.currentCategoryFilter = 'all';
+      }
+      select.val(this.currentCategoryFilter).trigger('change.select2');
+
       // Render Initial Grid
       this.renderFilteredGrid();
     } else {
@@ -522,6 +823,55 @@ const App = {
     }
   },
 
+  /**
+   * Reload the library from the CDN, keeping the current grid if offline
+   */
+  async refreshRankings() {
+    const button = $('#metadata-refresh-btn');
+    button.prop('disabled', true).text('Checking...');
+
+    const result = await DataLoader.refreshMetadataFromCdn();
+    if (result === 'updated') {
+      await this.loadRankings();
+    } else if (result === 'current') {
+      this.renderMetadataStatus('No newer release on the CDN, still using');
+    } else {
+      this.renderMetadataStatus('CDN unreachable, still using');
+    }
+
+    button.prop('disabled', false).text('Check CDN for updates');
+  },
+
+  /**
+   * Show which emoji-datasource release the library grid is using
+   */
+  renderMetadataStatus(prefix = 'Showing') {
+    const container = $('#metadata-status');
+    const status = DataLoader.getMetadataStatus();
+
+    if (!status) {
+      container
+        .find('.metadata-status-text')
+        .text('Emoji metadata unavailable');
+      return;
+    }
+
+    const originLabel =
+      status.origin === 'snapshot'
+        ? `bundled snapshot from ${status.generated}`
+        : `live from CDN, fetched ${status.generated}`;
+    const staleLabel = status.isStale
+      ? ` · ${status.ageDays} days old, consider refreshing`
+      : '';
+
+    container.toggleClass('stale', status.isStale);
+    container
+      .find('.metadata-status-text')
+      .text(
+        `${prefix} emoji-datasource ${status.version} (${originLabel})${staleLabel}`
+      );
+  },
+
   /**
    * Populate Category Filter Dropdown
    */
@@ -616,12 +966,26 @@ const App = {
 
     // Show modal immediately (content will update)
     modal.fadeIn();
+    this.openEmojiId = emoji.id;
+    this.syncUrl();
 
     // Fetch details
     const details = await DataLoader.fetchEmojiDetails(emoji.id);
 
-    // Render details
-    Visualizations.renderModalContent(modalBody, details || emoji);
+    // Render details (a bare { id } from a shared link has nothing to fall back on)
+    Visualizations.renderModalContent(
+      modalBody,
+      details || (emoji.char ? emoji : null)
+    );
+  },
+
+  /**
+   * Close Emoji Details Modal
+   */
+  closeEmojiDetails() {
+    $('#emoji-modal').fadeOut();
+    this.openEmojiId = null;
+    this.syncUrl();
   },
 
   /**
@@ -675,7 +1039,8 @@ const App = {
     if (!select) return;
 
     // Preserve current selection if possible
-    const currentVal = $(select).val(); // Use jQuery val() for consistency
+    // (from state, since a year restored from the URL has no option yet)
+    const currentVal = this.filters.year;
 
     // Clear options (keep first "All Years")
     while (select.options.length > 1) {
@@ -737,6 +1102,48 @@ const App = {
     });
   },
 
+  /**
+   * Populate the y-axis normalization dropdown
+   */
+  populateNormalizationFilter() {
+    const select = document.getElementById('normalization-filter');
+    Object.entries(DataLoader.NORMALIZATION_MODES).forEach(([mode, config]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.text = config.label;
+      option.selected = mode === this.currentNormalization;
+      select.appendChild(option);
+    });
+  },
+
+  /**
+   * Populate the resampling method dropdown
+   */
+  populateResampleFilter() {
+    const select = document.getElementById('resample-filter');
+    Object.entries(DataLoader.RESAMPLE_METHODS).forEach(([method, config]) => {
+      const option = document.createElement('option');
+      option.value = method;
+      option.text = config.label;
+      option.selected = method === this.currentResampleMethod;
+      select.appendChild(option);
+    });
+  },
+
+  /**
+   * Populate the country multi-select
+   */
+  populateCountrySelector() {
+    const select = document.getElementById('country-selector');
+    Object.entries(DataLoader.COUNTRIES).forEach(([code, country]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.text = `${country.name} ${country.flag}`;
+      option.selected = this.selectedCountries.includes(code);
+      select.appendChild(option);
+    });
+  },
+
   /**
    * Handle changes in emoji selection
    */
@@ -769,6 +1176,7 @@ const App = {
     }
 
     this.updateVisualizationContext();
+    this.syncUrl();
   },
 
   /**
@@ -781,34 +1189,31 @@ const App = {
     const displayData = currentSelection.map((emoji) => {
       const rawData = this.loadedData.get(emoji);
 
-      // 1. Filter raw data
-      let filteredData = rawData;
-      if (this.filters.year !== 'all') {
-        filteredData = filteredData.filter(
-          (d) => d.date.getFullYear() === parseInt(this.filters.year)
-        );
-      }
-
-      // 2. Aggregate data
-      // If the user wants to see specific dates in tooltip, we should NOT aggregate to month
-      // effectively using 'day' granularity for data, but 'month' for axis ticks?
-      // OR we just switch to 'day' granularity when a Year is selected?
-
-      // Let's interpret the request: "Remove daily control... click on month [implied: select year?]... see specific dates"
-      // This implies: Default view = Monthly aggregation.
+      // 1. Pick the time grid
+      // Default view = Monthly aggregation.
       // Filtered by Year view = Daily aggregation (so you can see specific dates).
-
       let effectiveGranularity = this.currentGranularity;
 
       if (this.currentGranularity === 'month' && this.filters.year !== 'all') {
         effectiveGranularity = 'day';
       }
 
-      const aggregatedData = DataLoader.aggregateData(
-        filteredData,
-        effectiveGranularity
+      // 2. Resample the irregular samples onto that grid. The whole series is
+      // resampled before filtering so interpolation can use the neighboring
+      // years' samples at the year's edges.
+      let aggregatedData = DataLoader.resampleSeries(
+        rawData,
+        effectiveGranularity,
+        this.currentResampleMethod
       );
 
+      // 3. Filter to the selected year
+      if (this.filters.year !== 'all') {
+        aggregatedData = aggregatedData.filter(
+          (d) => d.date.getFullYear() === parseInt(this.filters.year)
+        );
+      }
+
       return {
         name: emoji
           .split('_')
@@ -818,6 +1223,14 @@ const App = {
         values: aggregatedData,
         // Pass the actual granularity used for this dataset
         granularity: effectiveGranularity,
+        // Spikes are detected on the raw samples, then filtered like them
+        spikes: this.showSpikes
+          ? this.getSpikes(emoji).filter(
+              (s) =>
+                this.filters.year === 'all' ||
+                s.date.getFullYear() === parseInt(this.filters.year)
+            )
+          : [],
       };
     });
 
@@ -829,9 +1242,64 @@ const App = {
       globalEffectiveGranularity = 'day';
     }
 
+    // 4. Normalize across the selected series (share mode needs all of them)
+    DataLoader.normalizeSeries(displayData, this.currentNormalization);
+
     this.updateVisualization(displayData, globalEffectiveGranularity);
   },
 
+  /**
+   * Spikes for a loaded emoji series (cached)
+   */
+  getSpikes(emoji) {
+    if (!this.spikeCache.has(emoji)) {
+      const data = this.loadedData.get(emoji) || [];
+      this.spikeCache.set(emoji, Analysis.detectSpikes(data));
+    }
+    return this.spikeCache.get(emoji);
+  },
+
+  /**
+   * Scan all emoji series and list the strongest spikes.
+   * Clicking a spike adds its emoji to the chart with spike markers on.
+   */
+  async renderSpikeFinder() {
+    const list = document.getElementById('spike-list');
+    const button = $('#scan-spikes-btn');
+    if (!list) return;
+
+    button.prop('disabled', true);
+    list.innerHTML = '<div class="loading-spinner">Scanning emojis...</div>';
+
+    const spikes = (await Analysis.scanAllEmojis()).slice(0, 20);
+    const formatDate = d3.timeFormat('%b %d, %Y');
+
+    list.innerHTML = '';
+    spikes.forEach((spike) => {
+      const item = document.createElement('li');
+      item.className = 'spike-item';
+      item.innerHTML = `
+        <span class="spike-item-emoji">${spike.emojiChar}</span>
+        <span class="spike-item-date">${formatDate(spike.date)}</span>
+        <span class="spike-item-magnitude">${d3.format(',.1f')(
+          spike.ratio
+        )}× baseline</span>
+      `;
+      item.title = `${spike.usage.toLocaleString()} uses (robust z-score ${spike.score.toFixed(1)})`;
+      item.onclick = () => {
+        $('#show-spikes').prop('checked', true);
+        this.showSpikes = true;
+
+        const selection = new Set($('#emoji-selector').val() || []);
+        selection.add(spike.emoji);
+        $('#emoji-selector').val(Array.from(selection)).trigger('change');
+      };
+      list.appendChild(item);
+    });
+
+    button.prop('disabled', false);
+  },
+
   /**
    * Update the fun header with selected emojis
    */
@@ -895,6 +1363,24 @@ const App = {
       height: 500,
       granularity: granularity,
       context: context, // Pass context for dynamic labels
+      normalization: this.currentNormalization,
+      overview: true, // Brush/zoom to inspect arbitrary windows
+      spikes: this.showSpikes,
+      title: 'Emoji Usage Trends Over Time',
+      subtitle: [
+        this.filters.year === 'all' ? 'All years' : this.filters.year,
+        DataLoader.NORMALIZATION_MODES[this.currentNormalization].label,
+        DataLoader.RESAMPLE_METHODS[this.currentResampleMethod].label,
+      ].join(' · '),
+      exportMeta: {
+        filters: {
+          year: this.filters.year,
+          resample: this.currentResampleMethod,
+        },
+        sources: Array.from(this.selectedEmojis).map((emoji) =>
+          DataLoader.getTimeSeriesPath(emoji)
+        ),
+      },
     });
   },
 };
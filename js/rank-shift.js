@@ -0,0 +1,507 @@
+/**
+ * Rank Shift Module
+ * Slope chart of each emoji's rank in two countries, over the full
+ * Emoji Tracker lists (DataLoader.loadCountryData)
+ */
+
+const RankShift = {
+  countryA: 'US',
+  countryB: 'JP',
+  topN: 20,
+  TOP_N_OPTIONS: [10, 20, 30, 50],
+  // Largest movers (by rank ratio) that get a thicker line and a label
+  MOVER_COUNT: 5,
+  COLORS: {
+    shared: '#b2bec3',
+    onlyA: '#3498db',
+    onlyB: '#e67e22',
+    rest: '#dfe6e9', // Outside both top N
+  },
+  tooltip: null,
+  shifts: [],
+
+  init() {
+    console.log('Initializing Rank Shift...');
+
+    this.populateControls();
+    $('#rank-shift-a, #rank-shift-b, #rank-shift-topn').select2({
+      width: '200px',
+      minimumResultsForSearch: Infinity,
+    });
+
+    let tooltip = d3.select('#rank-shift-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'rank-shift-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    this.attachEventListeners();
+    this.update();
+  },
+
+  populateControls() {
+    ['a', 'b'].forEach((side) => {
+      const select = document.getElementById(`rank-shift-${side}`);
+      const selected = side === 'a' ? this.countryA : this.countryB;
+      Object.entries(DataLoader.COUNTRIES).forEach(([code, country]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.text = `${country.name} ${country.flag}`;
+        option.selected = code === selected;
+        select.appendChild(option);
+      });
+    });
+
+    const topN = document.getElementById('rank-shift-topn');
+    this.TOP_N_OPTIONS.forEach((n) => {
+      const option = document.createElement('option');
+      option.value = n;
+      option.text = `Top ${n}`;
+      option.selected = n === this.topN;
+      topN.appendChild(option);
+    });
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#rank-shift-a').on('change', (e) => {
+      this.countryA = e.target.value;
+      this.update();
+    });
+    $('#rank-shift-b').on('change', (e) => {
+      this.countryB = e.target.value;
+      this.update();
+    });
+    $('#rank-shift-topn').on('change', (e) => {
+      this.topN = +e.target.value;
+      this.update();
+    });
+  },
+
+  async update() {
+    const container = document.getElementById('rank-shift-chart');
+    if (!container) return;
+    container.innerHTML = '<div class="loading-spinner">Loading...</div>';
+
+    const { countryA, countryB } = this;
+    const [dataA, dataB] = await Promise.all([
+      DataLoader.loadCountryData(countryA),
+      DataLoader.loadCountryData(countryB),
+    ]);
+    // A later change of country has already started its own update
+    if (countryA !== this.countryA || countryB !== this.countryB) return;
+    if (dataA.length === 0 || dataB.length === 0) {
+      container.innerHTML =
+        '<div style="text-align:center; padding: 20px; color: red;">Failed to load data.</div>';
+      return;
+    }
+
+    this.shifts = this.computeShifts(dataA, dataB, this.topN);
+    const listLength = Math.max(dataA.length, dataB.length);
+    this.renderChart(container, this.shifts, listLength);
+    this.renderSummary(this.shifts);
+  },
+
+  /**
+   * Join two countries' full sorted lists by emoji key. Returns one row per
+   * emoji in either list: { emoji, key, rankA, rankB, occurrencesA,
+   * occurrencesB, group: 'shared' | 'onlyA' | 'onlyB' | 'rest', change,
+   * mover }. The group says which top N the emoji is in ('rest' for
+   * neither); movers are picked from every row. A rank is null when the
+   * emoji is not in that country's list at all.
+   */
+  computeShifts(dataA, dataB, topN) {
+    const ranksOf = (data) =>
+      new Map(data.map((d, i) => [d.key, { ...d, rank: i + 1 }]));
+    const ranksA = ranksOf(dataA);
+    const ranksB = ranksOf(dataB);
+    // Unlisted emojis count as ranked just past the end of the list
+    const unlistedRank = Math.max(dataA.length, dataB.length) + 1;
+
+    const keys = new Set([...ranksA.keys(), ...ranksB.keys()]);
+
+    const shifts = Array.from(keys, (key) => {
+      const a = ranksA.get(key);
+      const b = ranksB.get(key);
+      const rankA = a ? a.rank : null;
+      const rankB = b ? b.rank : null;
+      const inTopA = rankA !== null && rankA <= topN;
+      const inTopB = rankB !== null && rankB <= topN;
+
+      return {
+        emoji: (a || b).emoji,
+        key,
+        rankA,
+        rankB,
+        occurrencesA: a ? a.occurrences : 0,
+        occurrencesB: b ? b.occurrences : 0,
+        group:
+          inTopA && inTopB
+            ? 'shared'
+            : inTopA
+              ? 'onlyA'
+              : inTopB
+                ? 'onlyB'
+                : 'rest',
+        // Positive when the emoji ranks lower (a bigger number) in B
+        change: (rankB || unlistedRank) - (rankA || unlistedRank),
+        // Ratio, so 1 -> 10 counts as much of a move as 50 -> 500
+        logRatio: Math.abs(
+          Math.log((rankB || unlistedRank) / (rankA || unlistedRank))
+        ),
+        mover: false,
+      };
+    });
+
+    shifts
+      .filter((d) => d.logRatio > 0)
+      .sort((x, y) => y.logRatio - x.logRatio)
+      .slice(0, this.MOVER_COUNT)
+      .forEach((d) => (d.mover = true));
+
+    return shifts.sort(
+      (x, y) => (x.rankA || unlistedRank) - (y.rankA || unlistedRank)
+    );
+  },
+
+  /**
+   * Rank -> y position: the top N spread evenly over most of the height,
+   * the rest of the list on a log scale below it, unlisted at the bottom
+   */
+  createRankScale(topN, listLength, height) {
+    // Keep the log scale's domain non-empty for very short lists
+    listLength = Math.max(listLength, topN + 2);
+    const topHeight = height * 0.6;
+    const unlistedY = height;
+    const top = d3.scaleLinear().domain([1, topN]).range([0, topHeight]);
+    const rest = d3
+      .scaleLog()
+      .domain([topN + 1, listLength])
+      .range([topHeight + 24, unlistedY - 30]);
+
+    const scale = (rank) => {
+      if (rank === null) return unlistedY;
+      return rank <= topN ? top(rank) : rest(rank);
+    };
+    scale.topHeight = topHeight;
+    scale.ticks = [
+      ...new Set([1, ...top.ticks(4).filter(Number.isInteger), topN]),
+      ...[50, 100, 200, 500, 1000].filter(
+        (t) => t > topN + 1 && t <= listLength
+      ),
+    ];
+    return scale;
+  },
+
+  renderChart(container, shifts, listLength) {
+    container.innerHTML = '';
+
+    const { countryA, countryB, topN } = this;
+    const infoA = DataLoader.COUNTRIES[countryA];
+    const infoB = DataLoader.COUNTRIES[countryB];
+    const tooltip = this.tooltip;
+
+    const margin = { top: 50, right: 60, bottom: 20, left: 60 };
+    const outerWidth = container.clientWidth || 700;
+    const outerHeight = 640;
+    const width = outerWidth - margin.left - margin.right;
+    const height = outerHeight - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', outerHeight)
+      .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const y = this.createRankScale(topN, listLength, height);
+    const xA = 0;
+    const xB = width;
+    const labelGap = 22; // Room for the emoji labels inside the axes
+    const glyphSize = Math.min(16, (y.topHeight / topN) * 1.1);
+
+    // Column headers
+    [
+      [xA, 'start', infoA, countryA],
+      [xB, 'end', infoB, countryB],
+    ].forEach(([x, anchor, country, code]) => {
+      svg
+        .append('text')
+        .attr('class', 'rank-shift-header')
+        .attr('x', x)
+        .attr('y', -24)
+        .style('text-anchor', anchor)
+        .text(`${country.name} ${country.flag} (${code})`);
+    });
+
+    // Top N / rest of list divider
+    svg
+      .append('line')
+      .attr('class', 'rank-shift-divider')
+      .attr('x1', xA)
+      .attr('x2', xB)
+      .attr('y1', y.topHeight + 12)
+      .attr('y2', y.topHeight + 12);
+    svg
+      .append('text')
+      .attr('class', 'rank-shift-divider-label')
+      .attr('x', width / 2)
+      .attr('y', y.topHeight + 8)
+      .style('text-anchor', 'middle')
+      .text(`↑ top ${topN} · rest of the top ${listLength} ↓`);
+
+    // Rank axes, with ticks on the outside
+    this.drawRankAxis(svg, xA, -1, y, height);
+    this.drawRankAxis(svg, xB, 1, y, height);
+
+    // One group per emoji: line, end labels and hover target
+    const rows = svg
+      .selectAll('.rank-shift-row')
+      .data(shifts, (d) => d.key)
+      .enter()
+      .append('g')
+      .attr('class', (d) => `rank-shift-row ${d.group}`)
+      .classed('mover', (d) => d.mover)
+      // Draw the rest first and highlighted rows last so they sit on top
+      .sort((a, b) => this.drawOrder(a) - this.drawOrder(b));
+
+    // Visible line, and a wider transparent one that is easier to hover
+    ['rank-shift-line', 'rank-shift-hit'].forEach((className) => {
+      rows
+        .append('line')
+        .attr('class', className)
+        .attr('x1', xA + labelGap)
+        .attr('x2', xB - labelGap)
+        .attr('y1', (d) => y(d.rankA))
+        .attr('y2', (d) => y(d.rankB))
+        .attr('stroke', (d) => this.COLORS[d.group]);
+    });
+
+    // Emoji glyph inside the top N, a dot further down (rows outside both
+    // top N only get dots when they are movers, to keep the band readable)
+    const marked = rows.filter((d) => d.group !== 'rest' || d.mover);
+    [
+      ['rankA', xA + labelGap / 2],
+      ['rankB', xB - labelGap / 2],
+    ].forEach(([field, x]) => {
+      marked
+        .filter((d) => d[field] !== null && d[field] <= topN)
+        .append('text')
+        .attr('class', 'rank-shift-glyph')
+        .attr('x', x)
+        .attr('y', (d) => y(d[field]))
+        .attr('dy', '0.35em')
+        .style('text-anchor', 'middle')
+        .style('font-size', `${glyphSize}px`)
+        .text((d) => d.emoji);
+      marked
+        .filter((d) => d[field] === null || d[field] > topN)
+        .append('circle')
+        .attr('class', 'rank-shift-dot')
+        .attr('cx', x)
+        .attr('cy', (d) => y(d[field]))
+        .attr('r', 3)
+        .attr('fill', (d) => this.COLORS[d.group]);
+    });
+
+    // Movers are labelled along their line, staggered so labels don't stack
+    const movers = shifts
+      .filter((d) => d.mover)
+      .sort((a, b) => b.logRatio - a.logRatio);
+    const alongLine = (d) => 0.3 + (0.4 * movers.indexOf(d)) / movers.length;
+    rows
+      .filter((d) => d.mover)
+      .append('text')
+      .attr('class', 'rank-shift-mover-label')
+      .attr('x', (d) => xA + labelGap + alongLine(d) * (xB - xA - 2 * labelGap))
+      .attr('y', (d) => y(d.rankA) + alongLine(d) * (y(d.rankB) - y(d.rankA)))
+      .attr('dy', '-0.4em')
+      .style('text-anchor', 'middle')
+      .text(
+        (d) =>
+          `${d.emoji} ${this.formatRank(d.rankA)} → ${this.formatRank(d.rankB)}`
+      );
+
+    rows
+      .on('mouseenter', (event, d) => {
+        svg.classed('has-highlight', true);
+        d3.select(event.currentTarget).classed('hovered', true).raise();
+
+        const groupLabel = {
+          shared: `In both top ${topN}s`,
+          onlyA: `Only in ${countryA}'s top ${topN}`,
+          onlyB: `Only in ${countryB}'s top ${topN}`,
+          rest: `Outside both top ${topN}s`,
+        }[d.group];
+        tooltip.style('opacity', 1).html(
+          `<div style="text-align: center;">
+              <div style="font-size: 2em;">${d.emoji}</div>
+              <div>${countryA}: <strong>${this.formatRank(d.rankA)}</strong> (${d.occurrencesA.toLocaleString()} uses)</div>
+              <div>${countryB}: <strong>${this.formatRank(d.rankB)}</strong> (${d.occurrencesB.toLocaleString()} uses)</div>
+              <div style="color: ${this.COLORS[d.group]}; font-weight: 700;">${groupLabel}</div>
+            </div>`
+        );
+      })
+      .on('mousemove', (event) => {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', (event) => {
+        svg.classed('has-highlight', false);
+        d3.select(event.currentTarget).classed('hovered', false);
+        tooltip.style('opacity', 0);
+      });
+
+    ChartExport.addControls(container, {
+      title: `Emoji rank shift: ${infoA.name} vs ${infoB.name}`,
+      subtitle: `Every emoji in either top ${listLength} · Source: Emoji Tracker`,
+      legend: [
+        { label: `Only in ${countryA} top ${topN}`, color: this.COLORS.onlyA },
+        { label: `Only in ${countryB} top ${topN}`, color: this.COLORS.onlyB },
+        { label: `In both top ${topN}`, color: this.COLORS.shared },
+        { label: `Outside both top ${topN}`, color: this.COLORS.rest },
+      ],
+      data: () => this.getExportData(),
+    });
+  },
+
+  /**
+   * Paint order of a row: the rest, then shared, then one-sided, then movers
+   */
+  drawOrder(d) {
+    if (d.mover) return 3;
+    return { rest: 0, shared: 1, onlyA: 2, onlyB: 2 }[d.group];
+  },
+
+  /**
+   * Vertical rank axis at x; direction -1 puts ticks on the left
+   */
+  drawRankAxis(svg, x, direction, y, height) {
+    const axis = svg
+      .append('g')
+      .attr('class', 'rank-shift-axis')
+      .attr('transform', `translate(${x},0)`);
+    axis.append('line').attr('y2', height);
+
+    const ticks = axis
+      .selectAll('.tick')
+      .data([...y.ticks, null])
+      .enter()
+      .append('g')
+      .attr('class', 'tick')
+      .attr('transform', (d) => `translate(0,${y(d)})`);
+    ticks.append('line').attr('x2', direction * 6);
+    ticks
+      .append('text')
+      .attr('x', direction * 9)
+      .attr('dy', '0.32em')
+      .style('text-anchor', direction < 0 ? 'end' : 'start')
+      .text((d) => this.formatRank(d));
+  },
+
+  /**
+   * Lists beside the chart: emojis only in one top N, and the movers
+   */
+  renderSummary(shifts) {
+    const summary = d3.select('#rank-shift-summary');
+    if (summary.empty()) return;
+    summary.html('');
+
+    const { countryA, countryB, topN } = this;
+    const byRank = (field) => (a, b) =>
+      (a[field] || Infinity) - (b[field] || Infinity);
+    const lists = [
+      {
+        title: `Only in ${countryA}'s top ${topN}`,
+        color: this.COLORS.onlyA,
+        items: shifts.filter((d) => d.group === 'onlyA').sort(byRank('rankA')),
+      },
+      {
+        title: `Only in ${countryB}'s top ${topN}`,
+        color: this.COLORS.onlyB,
+        items: shifts.filter((d) => d.group === 'onlyB').sort(byRank('rankB')),
+      },
+      {
+        title: 'Largest rank shifts',
+        color: 'var(--text-color)',
+        items: shifts
+          .filter((d) => d.mover)
+          .sort((a, b) => b.logRatio - a.logRatio),
+      },
+    ];
+
+    lists.forEach((list) => {
+      const column = summary.append('div').attr('class', 'rank-shift-list');
+      column
+        .append('h4')
+        .style('color', list.color)
+        .text(`${list.title} (${list.items.length})`);
+      const items = column
+        .append('ul')
+        .selectAll('li')
+        .data(list.items)
+        .enter()
+        .append('li');
+      items
+        .append('span')
+        .attr('class', 'rank-shift-list-emoji')
+        .text((d) => d.emoji);
+      items
+        .append('span')
+        .text(
+          (d) =>
+            `${countryA} ${this.formatRank(d.rankA)} → ${countryB} ${this.formatRank(d.rankB)}`
+        );
+      if (list.items.length === 0) {
+        column.append('p').text('None');
+      }
+    });
+  },
+
+  formatRank(rank) {
+    return rank === null ? 'unlisted' : `#${rank}`;
+  },
+
+  /**
+   * Dataset for DataExport: one row per emoji in either list
+   */
+  getExportData() {
+    const { countryA, countryB, topN } = this;
+    return DataExport.createDataset(
+      {
+        title: `Emoji rank shift: ${countryA} vs ${countryB}`,
+        filters: { countryA, countryB, topN },
+        sources: [
+          DataLoader.getCountryDataPath(countryA),
+          DataLoader.getCountryDataPath(countryB),
+        ],
+      },
+      [
+        'emoji',
+        'key',
+        'rankA',
+        'rankB',
+        'occurrencesA',
+        'occurrencesB',
+        'change',
+        'group',
+        'mover',
+      ],
+      this.shifts
+    );
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('rank-shift-chart')) {
+    RankShift.init();
+  }
+});
@@ -7,40 +7,364 @@ const SentimentApp = {
   data: [],
   vizElements: null,
 
+  // Rows currently plotted, and the filters that produced them
+  filteredData: [],
+  activeFilters: {},
+
+  // Circle colors at sentiment -1, 0 and 1
+  SENTIMENT_COLORS: ['#e74c3c', '#95a5a6', '#2ecc71'], // Red, Grey, Green
+
+  // Filters. Smoothed scores past the cutoffs count as positive or negative.
+  negativeCutoff: -0.2,
+  positiveCutoff: 0.2,
+  BAND_LABELS: {
+    negative: 'Negative',
+    neutral: 'Neutral',
+    positive: 'Positive',
+  },
+  minOccurrences: 1,
+  // Stops of the minimum uses slider, closer together where most emojis are
+  MIN_USE_STEPS: [1, 2, 3, 5, 10, 20, 30, 50, 100, 200, 500, 1000],
+  RARE_USES: 30, // What "hide rare emojis" in older links meant
+  blocks: [], // Unicode blocks to show; empty shows every block
+  // Which characters to show, by their Unicode emoji properties
+  CHARACTERS: {
+    emoji: 'Emojis only',
+    all: 'Emojis and other symbols',
+  },
+  characters: 'emoji',
+  sliderTimer: null,
+
+  // What places the circles: two fields on x/y axes, or the shares of
+  // negative, neutral and positive uses as a point in a triangle
+  VIEWS: {
+    scatter: 'Scatter plot',
+    ternary: 'Composition triangle',
+  },
+  TERNARY_SHARES: ['negative', 'neutral', 'positive'], // Corner order
+  TERNARY_GRID: [0.2, 0.4, 0.6, 0.8],
+
+  // Circle placement: exact positions, or nudged apart so none overlap
+  LAYOUTS: {
+    scatter: 'Scatter',
+    swarm: 'Beeswarm (no overlap)',
+  },
+  // Fields the axes, circle size and color can show. Signed fields run
+  // from -1 to 1; skewed ones are counts where most emojis are rare.
+  FIELDS: {
+    smoothedScore: {
+      label: 'Smoothed sentiment score',
+      axisLabel: 'Smoothed Sentiment Score (Negative ← → Positive)',
+      value: (d) => d.smoothedScore,
+      signed: true,
+    },
+    sentimentScore: {
+      label: 'Raw sentiment score',
+      value: (d) => d.sentimentScore,
+      signed: true,
+    },
+    occurrences: {
+      label: 'Occurrences',
+      axisLabel: 'Number of Occurrences',
+      value: (d) => d.occurrences,
+      skewed: true,
+    },
+    position: {
+      label: 'Position in tweet',
+      axisLabel: 'Position in Tweet (Start ← → End)',
+      value: (d) => d.position,
+    },
+    positiveShare: {
+      label: 'Positive share',
+      value: (d) => d.positive / d.occurrences,
+    },
+    neutralShare: {
+      label: 'Neutral share',
+      value: (d) => d.neutral / d.occurrences,
+    },
+    negativeShare: {
+      label: 'Negative share',
+      value: (d) => d.negative / d.occurrences,
+    },
+    positive: {
+      label: 'Positive uses',
+      value: (d) => d.positive,
+      skewed: true,
+    },
+    neutral: { label: 'Neutral uses', value: (d) => d.neutral, skewed: true },
+    negative: {
+      label: 'Negative uses',
+      value: (d) => d.negative,
+      skewed: true,
+    },
+  },
+  // Axis scales; with counts, linear piles the rare emojis at one end
+  SCALES: {
+    linear: { label: 'Linear', create: () => d3.scaleLinear() },
+    sqrt: { label: 'Square root', create: () => d3.scaleSqrt() },
+    log: { label: 'Log', create: () => d3.scaleLog() },
+  },
+  // Unicode blocks get their own color, most emojis first; the rest share
+  // the last (grey) one
+  BLOCK_COLORS: d3.schemeTableau10,
+  OTHER_BLOCKS: 'Other blocks',
+  blockColors: new Map(),
+  view: 'scatter',
+  layout: 'scatter',
+  xField: 'smoothedScore',
+  yField: 'occurrences',
+  xScaleType: 'linear',
+  yScaleType: 'linear',
+  sizeField: 'occurrences', // or 'none' for equal circles
+  colorField: 'smoothedScore', // or 'block'
+  MAX_ZOOM: 20,
+  SWARM_TICKS: 300, // Force simulation steps for the beeswarm
+  // Circle positions per layout, scale and filter (see computeLayout)
+  layoutCache: new Map(),
+  // Largest share of the plot the beeswarm's circles may cover; beyond it
+  // they are shrunk, as they could not all fit without overlapping
+  SWARM_MAX_DENSITY: 0.4,
+
+  // What dragging on the plot does
+  tool: 'pan', // 'pan' | 'lasso' | 'rect'
+  selection: new Set(), // Emojis picked with the lasso or rectangle
+  searchMatches: new Set(), // Plotted emojis matching the search box
+  searchTimer: null,
+  messageMatches: new Set(), // Plotted emojis found in the message box
+  messageTimer: null,
+  SEARCH_MAX_ZOOM: 6, // Zooming to a lone match stops here
+
   init() {
     console.log('Initializing Sentiment Visualization...');
 
-    // Initialize Select2 for sentiment filter only
+    this.populateLayoutControls();
+
+    // Restore shared filters from the URL before the first render
+    this.applyUrlState(UrlState.read());
+
+    // Initialize Select2 for the filter, layout and encoding selects
     $('#sentiment-filter').select2({
       minimumResultsForSearch: Infinity,
       width: '200px',
     });
+    $(
+      '#sentiment-view, #sentiment-layout, #sentiment-x-field, #sentiment-y-field, #sentiment-size-field, #sentiment-color-field'
+    ).select2({
+      minimumResultsForSearch: Infinity,
+      width: '200px',
+    });
+    $('#sentiment-x-scale, #sentiment-y-scale').select2({
+      minimumResultsForSearch: Infinity,
+      width: '140px',
+    });
+    $('#sentiment-characters').select2({
+      minimumResultsForSearch: Infinity,
+      width: '220px',
+    });
+    // Options are the blocks in the data (see populateBlockFilter)
+    $('#sentiment-blocks').select2({
+      placeholder: 'All Unicode blocks',
+      allowClear: true,
+      width: '320px',
+    });
 
     this.loadData();
     this.attachEventListeners();
+
+    UrlState.onChange((state) => {
+      this.applyUrlState(state);
+      this.updateVisualization();
+    });
+  },
+
+  populateLayoutControls() {
+    const fill = (id, entries) => {
+      const select = document.getElementById(id);
+      entries.forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.text = label;
+        select.appendChild(option);
+      });
+    };
+    const fields = Object.entries(this.FIELDS).map(([key, field]) => [
+      key,
+      field.label,
+    ]);
+    const scales = Object.entries(this.SCALES).map(([key, scale]) => [
+      key,
+      scale.label,
+    ]);
+
+    fill('sentiment-characters', Object.entries(this.CHARACTERS));
+    document.getElementById('sentiment-min-uses').max =
+      this.MIN_USE_STEPS.length - 1;
+    fill('sentiment-view', Object.entries(this.VIEWS));
+    fill('sentiment-layout', Object.entries(this.LAYOUTS));
+    fill('sentiment-x-field', fields);
+    fill('sentiment-x-scale', scales);
+    fill('sentiment-y-field', fields);
+    fill('sentiment-y-scale', scales);
+    fill('sentiment-size-field', [['none', 'Same size'], ...fields]);
+    fill('sentiment-color-field', [['block', 'Unicode block'], ...fields]);
+  },
+
+  /**
+   * List the Unicode blocks in the data, largest first, once it has loaded,
+   * and drop selected blocks it does not contain (e.g. a mistyped link)
+   */
+  populateBlockFilter() {
+    const counts = d3.rollups(
+      this.data,
+      (v) => v.length,
+      (d) => d.block
+    );
+    counts.sort((a, b) => b[1] - a[1]);
+
+    const select = document.getElementById('sentiment-blocks');
+    counts.forEach(([block, count]) => {
+      const option = document.createElement('option');
+      option.value = block;
+      option.text = `${block} (${count})`;
+      select.appendChild(option);
+    });
+
+    const known = new Set(counts.map(([block]) => block));
+    const blocks = this.blocks.filter((block) => known.has(block));
+    const changed = blocks.length !== this.blocks.length;
+    this.blocks = blocks;
+    $('#sentiment-blocks').val(this.blocks).trigger('change.select2');
+
+    // Runs before initVisualization, which draws with the cleaned list;
+    // replace the invalid link rather than leave it in the history
+    if (changed) this.syncUrl({ replace: true });
+  },
+
+  /**
+   * Show the slider values next to their labels
+   */
+  updateSliderLabels() {
+    const cutoff = d3.format('+.2f');
+    const setText = (id, text) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    };
+    setText('sentiment-min-uses-value', this.minOccurrences.toLocaleString());
+    setText('sentiment-negative-cutoff-value', cutoff(this.negativeCutoff));
+    setText('sentiment-positive-cutoff-value', cutoff(this.positiveCutoff));
+  },
+
+  /**
+   * Set the filter controls from URL parameters
+   */
+  applyUrlState(state) {
+    const filter = ['positive', 'neutral', 'negative'].includes(state.sentiment)
+      ? state.sentiment
+      : 'all';
+    $('#sentiment-filter').val(filter).trigger('change.select2');
+
+    // Cutoffs snap to the sliders' 0.05 steps; uses snap to the nearest stop
+    const cutoff = (value, min, max, fallback) => {
+      const number = Math.round(parseFloat(value) * 20) / 20;
+      return number >= min && number <= max ? number : fallback;
+    };
+    this.negativeCutoff = cutoff(state.sentimentNeg, -1, 0, -0.2);
+    this.positiveCutoff = cutoff(state.sentimentPos, 0, 1, 0.2);
+
+    // Links from before the slider only had "hide rare emojis"
+    const minUses =
+      state.minUses !== undefined
+        ? parseInt(state.minUses, 10) || 1
+        : state.rare === '1'
+          ? this.RARE_USES
+          : 1;
+    const step = d3.leastIndex(this.MIN_USE_STEPS, (a, b) =>
+      d3.ascending(Math.abs(a - minUses), Math.abs(b - minUses))
+    );
+    this.minOccurrences = this.MIN_USE_STEPS[step];
+
+    $('#sentiment-min-uses').val(step);
+    $('#sentiment-negative-cutoff').val(this.negativeCutoff);
+    $('#sentiment-positive-cutoff').val(this.positiveCutoff);
+    this.updateSliderLabels();
+
+    this.characters = state.sentimentChars === 'all' ? 'all' : 'emoji';
+    $('#sentiment-characters').val(this.characters).trigger('change.select2');
+
+    // Unknown blocks are dropped here once the data has loaded, and by
+    // populateBlockFilter when it arrives
+    this.blocks = UrlState.readList(state.sentimentBlocks);
+    if (this.data.length > 0) {
+      const known = new Set(this.data.map((d) => d.block));
+      this.blocks = this.blocks.filter((block) => known.has(block));
+    }
+    $('#sentiment-blocks').val(this.blocks).trigger('change.select2');
+
+    const showIntervals = document.getElementById('sentiment-show-ci');
+    if (showIntervals) showIntervals.checked = state.sentimentCi !== '0';
+    this.updateIntervalVisibility();
+
+    const pick = (value, options, fallback) =>
+      Object.hasOwn(options, value) ? value : fallback;
+    const colorOptions = { ...this.FIELDS, block: true };
+    const sizeOptions = { ...this.FIELDS, none: true };
+
+    this.view = pick(state.sentimentView, this.VIEWS, 'scatter');
+    this.layout = pick(state.sentimentLayout, this.LAYOUTS, 'scatter');
+    this.xField = pick(state.sentimentX, this.FIELDS, 'smoothedScore');
+    this.yField = pick(state.sentimentY, this.FIELDS, 'occurrences');
+    this.xScaleType = pick(state.sentimentXScale, this.SCALES, 'linear');
+    this.yScaleType = pick(state.sentimentScale, this.SCALES, 'linear');
+    this.sizeField = pick(state.sentimentSize, sizeOptions, 'occurrences');
+    this.colorField = pick(state.sentimentColor, colorOptions, 'smoothedScore');
+
+    $('#sentiment-view').val(this.view).trigger('change.select2');
+    $('#sentiment-layout').val(this.layout).trigger('change.select2');
+    $('#sentiment-x-field').val(this.xField).trigger('change.select2');
+    $('#sentiment-y-field').val(this.yField).trigger('change.select2');
+    $('#sentiment-x-scale').val(this.xScaleType).trigger('change.select2');
+    $('#sentiment-y-scale').val(this.yScaleType).trigger('change.select2');
+    $('#sentiment-size-field').val(this.sizeField).trigger('change.select2');
+    $('#sentiment-color-field').val(this.colorField).trigger('change.select2');
+  },
+
+  /**
+   * Write the filter controls to the URL
+   */
+  syncUrl(options) {
+    const sentimentFilter = document.getElementById('sentiment-filter').value;
+    const showIntervals =
+      document.getElementById('sentiment-show-ci')?.checked ?? true;
+    const unlessDefault = (value, fallback) =>
+      value !== fallback ? value : null;
+
+    const state = {
+      sentiment: sentimentFilter !== 'all' ? sentimentFilter : null,
+      rare: null, // Replaced by minUses
+      minUses: unlessDefault(this.minOccurrences, 1),
+      sentimentNeg: unlessDefault(this.negativeCutoff, -0.2),
+      sentimentPos: unlessDefault(this.positiveCutoff, 0.2),
+      sentimentChars: unlessDefault(this.characters, 'emoji'),
+      sentimentBlocks: this.blocks.join(','),
+      sentimentCi: showIntervals ? null : '0',
+      sentimentView: unlessDefault(this.view, 'scatter'),
+      sentimentLayout: unlessDefault(this.layout, 'scatter'),
+      sentimentX: unlessDefault(this.xField, 'smoothedScore'),
+      sentimentY: unlessDefault(this.yField, 'occurrences'),
+      sentimentXScale: unlessDefault(this.xScaleType, 'linear'),
+      sentimentScale: unlessDefault(this.yScaleType, 'linear'),
+      sentimentSize: unlessDefault(this.sizeField, 'occurrences'),
+      sentimentColor: unlessDefault(this.colorField, 'smoothedScore'),
+    };
+    UrlState.update(state, options);
   },
 
   loadData() {
-    d3.csv('data/Emoji_Sentiment_Data_v1.0.csv')
-      .then((csvData) => {
-        // Blacklist of non-emoji characters or noisy data
-        const blacklist = new Set(['┊', '▃', '◤', '☁', 'da', '—']);
-
-        this.data = csvData
-          .filter((d) => !blacklist.has(d.Emoji)) // Filter out blacklist
-          .map((d) => ({
-            emoji: d.Emoji,
-            name: d['Unicode name'],
-            occurrences: +d.Occurrences,
-            negative: +d.Negative,
-            neutral: +d.Neutral,
-            positive: +d.Positive,
-            position: +d.Position,
-            sentimentScore:
-              (+d.Positive - +d.Negative) /
-              (+d.Positive + +d.Neutral + +d.Negative),
-          }))
-          .filter((d) => d.occurrences > 0); // Filter out zero occurrences
+    DataLoader.loadSentimentData()
+      .then((data) => {
+        this.data = Analysis.smoothSentiment(data);
+        this.blockColors = this.assignBlockColors(this.data);
+        this.populateBlockFilter();
 
         console.log(
           'Sentiment CSV loaded successfully!',
@@ -66,14 +390,29 @@ const SentimentApp = {
     const width = containerWidth - margin.left - margin.right;
     const height = 700 - margin.top - margin.bottom;
 
-    const svg = d3
+    const root = d3
       .select('#sentiment-visualization')
       .append('svg')
       .attr('width', width + margin.left + margin.right)
-      .attr('height', height + margin.top + margin.bottom)
+      .attr('height', height + margin.top + margin.bottom);
+
+    const svg = root
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
+    // Zoomed circles stay inside the plot; the padding keeps the edge
+    // circles whole at the default zoom
+    const clipPadding = 12;
+    root
+      .append('defs')
+      .append('clipPath')
+      .attr('id', 'sentiment-clip')
+      .append('rect')
+      .attr('x', -clipPadding)
+      .attr('y', -margin.top)
+      .attr('width', width + margin.right + clipPadding)
+      .attr('height', height + margin.top + clipPadding);
+
     // Create axis groups
     const xAxisGroup = svg
       .append('g')
@@ -89,22 +428,101 @@ const SentimentApp = {
       .style('color', '#666');
 
     // Axis labels
-    svg
+    const xLabel = svg
       .append('text')
       .attr('class', 'axis-label')
       .attr('x', width / 2)
       .attr('y', height + 45)
-      .attr('text-anchor', 'middle')
-      .text('Sentiment Score (Negative ← → Positive)');
+      .attr('text-anchor', 'middle');
 
-    svg
+    const yLabel = svg
       .append('text')
       .attr('class', 'axis-label')
       .attr('transform', 'rotate(-90)')
       .attr('x', -height / 2)
       .attr('y', -45)
-      .attr('text-anchor', 'middle')
-      .text('Number of Occurrences');
+      .attr('text-anchor', 'middle');
+
+    // Catches zoom and drag gestures on the empty parts of the plot
+    svg
+      .append('rect')
+      .attr('class', 'sentiment-gesture-surface')
+      .attr('width', width)
+      .attr('height', height);
+
+    const plot = svg.append('g').attr('clip-path', 'url(#sentiment-clip)');
+    const ternaryGrid = plot
+      .append('g')
+      .attr('class', 'sentiment-ternary-grid');
+
+    const lasso = svg.append('path').attr('class', 'sentiment-lasso');
+
+    // Zoom and pan rescale the axes; double-click resets, as in the trends
+    // chart. Dragging pans only with the pan tool.
+    const zoom = d3
+      .zoom()
+      .scaleExtent([1, this.MAX_ZOOM])
+      .extent([
+        [0, 0],
+        [width, height],
+      ])
+      .translateExtent([
+        [0, 0],
+        [width, height],
+      ])
+      .filter(
+        (event) =>
+          (event.type === 'wheel' || this.tool === 'pan') &&
+          (!event.ctrlKey || event.type === 'wheel') &&
+          !event.button
+      )
+      .on('zoom', (event) => {
+        this.vizElements.transform = event.transform;
+        this.applyZoom();
+      });
+
+    // The other tools draw a lasso or rectangle; shift adds to the selection
+    let points = [];
+    const drag = d3
+      .drag()
+      .container(function () {
+        return this;
+      })
+      .filter((event) => this.tool !== 'pan' && !event.button)
+      .on('start', (event) => {
+        points = [[event.x, event.y]];
+      })
+      .on('drag', (event) => {
+        const [x0, y0] = points[0];
+        points =
+          this.tool === 'rect'
+            ? [
+                [x0, y0],
+                [event.x, y0],
+                [event.x, event.y],
+                [x0, event.y],
+              ]
+            : [...points, [event.x, event.y]];
+        lasso.attr('d', `M${points.join('L')}Z`);
+      })
+      .on('end', (event) => {
+        lasso.attr('d', null);
+        this.selectInPolygon(points, event.sourceEvent.shiftKey);
+      });
+
+    svg
+      .call(zoom)
+      .call(drag)
+      .on('dblclick.zoom', () =>
+        svg.transition().duration(500).call(zoom.transform, d3.zoomIdentity)
+      );
+
+    ChartExport.addControls(container, {
+      title: 'Global Emoji Sentiment Explorer',
+      subtitle: () => this.getExportSubtitle(),
+      legend: () => this.getLegendItems(),
+      data: () => this.getExportData(),
+    });
 
     // Tooltip - specific ID for this viz
     let tooltip = d3.select('#sentiment-tooltip');
@@ -118,8 +536,14 @@ const SentimentApp = {
 
     this.vizElements = {
       svg,
+      plot,
+      ternaryGrid,
       xAxisGroup,
       yAxisGroup,
+      xLabel,
+      yLabel,
+      zoom,
+      transform: d3.zoomIdentity,
       width,
       height,
       tooltip,
@@ -131,66 +555,96 @@ const SentimentApp = {
   updateVisualization() {
     if (!this.vizElements) return;
 
-    const { svg, xAxisGroup, yAxisGroup, width, height, tooltip } =
-      this.vizElements;
+    const {
+      svg,
+      plot,
+      ternaryGrid,
+      xAxisGroup,
+      yAxisGroup,
+      xLabel,
+      yLabel,
+      zoom,
+      width,
+      height,
+      tooltip,
+    } = this.vizElements;
 
     const sentimentFilter = document.getElementById('sentiment-filter').value;
-    const filterRare =
-      document.getElementById('sentiment-filter-rare')?.checked || false;
-
-    // Apply minimum occurrences filter based on checkbox
-    const minOccurrences = filterRare ? 30 : 1;
-    let filteredData = this.data.filter((d) => d.occurrences >= minOccurrences);
-
-    if (sentimentFilter === 'positive') {
-      filteredData = filteredData.filter((d) => d.sentimentScore > 0.2);
-    } else if (sentimentFilter === 'negative') {
-      filteredData = filteredData.filter((d) => d.sentimentScore < -0.2);
-    } else if (sentimentFilter === 'neutral') {
-      filteredData = filteredData.filter(
-        (d) => d.sentimentScore >= -0.2 && d.sentimentScore <= 0.2
-      );
-    }
+    const filteredData = this.filterRows(sentimentFilter);
 
     // Dynamic scales
-    const xScale = d3
-      .scaleLinear()
-      .domain([
-        d3.min(filteredData, (d) => d.sentimentScore) - 0.05 || -1,
-        d3.max(filteredData, (d) => d.sentimentScore) + 0.05 || 1,
-      ])
-      .range([0, width]);
+    const xScale = this.createScale(
+      this.xField,
+      this.xScaleType,
+      filteredData
+    ).range([0, width]);
+    const yScale = this.createScale(
+      this.yField,
+      this.yScaleType,
+      filteredData
+    ).range([height, 0]);
+    xLabel.text(this.axisLabel(this.xField, this.xScaleType));
+    yLabel.text(this.axisLabel(this.yField, this.yScaleType));
 
-    const yScale = d3
-      .scaleLinear()
-      .domain([0, d3.max(filteredData, (d) => d.occurrences) || 100])
-      .range([height, 0]);
-
-    const sizeScale = d3
-      .scaleSqrt()
-      .domain([0, d3.max(filteredData, (d) => d.occurrences) || 100])
-      .range([10, 40]);
-
-    const colorScale = d3
-      .scaleLinear()
-      .domain([-1, 0, 1])
-      .range(['#e74c3c', '#95a5a6', '#2ecc71']); // Red, Grey, Green
+    // The triangle replaces the axes and their pickers
+    const ternary = this.view === 'ternary';
+    [xAxisGroup, yAxisGroup, xLabel, yLabel].forEach((element) =>
+      element.attr('display', ternary ? 'none' : null)
+    );
+    ternaryGrid.attr('display', ternary ? null : 'none');
+    $('.sentiment-axis-controls').toggle(!ternary);
 
-    // Update axes
-    xAxisGroup.transition().duration(800).call(d3.axisBottom(xScale).ticks(10));
+    const sizeValue = this.createSizeValue(filteredData);
+    const colorScale = this.createColorScale(filteredData);
+    const colorOf = this.colorAccessor();
+    const colorValue = (d) => colorScale(colorOf(d));
 
-    yAxisGroup.transition().duration(800).call(d3.axisLeft(yScale).ticks(8));
+    // New scales invalidate the zoom, so start again from the full view
+    // (without positions, the circles wait for the transition below)
+    this.vizElements.positions = null;
+    svg.call(zoom.transform, d3.zoomIdentity);
 
-    // Size based on occurrences only (removed "Size By" option)
-    const sizeValue = (d) => sizeScale(d.occurrences);
+    // The beeswarm takes a moment, so each combination is laid out once
+    const placement = ternary
+      ? ['ternary']
+      : [this.xField, this.xScaleType, this.yField, this.yScaleType];
+    const layoutKey = [
+      this.layout,
+      ...placement,
+      this.sizeField,
+      sentimentFilter,
+      this.minOccurrences,
+      this.negativeCutoff,
+      this.positiveCutoff,
+      this.characters,
+      ...this.blocks,
+    ].join('|');
+    if (!this.layoutCache.has(layoutKey)) {
+      this.layoutCache.set(
+        layoutKey,
+        this.computeLayout(filteredData, xScale, yScale, sizeValue)
+      );
+    }
+    Object.assign(this.vizElements, {
+      xScale,
+      yScale,
+      colorScale,
+      positions: this.layoutCache.get(layoutKey),
+    });
 
     // Bind data
-    const circles = svg
+    const circles = plot
       .selectAll('.sentiment-emoji-circle')
       .data(filteredData, (d) => d.emoji);
 
-    // Exit
-    circles.exit().transition().duration(500).attr('opacity', 0).remove();
+    // Exit (marked so zooming doesn't interrupt the removal)
+    circles
+      .exit()
+      .classed('exiting', true)
+      .transition()
+      .duration(500)
+      .attr('opacity', 0)
+      .remove();
 
     // Enter
     const circlesEnter = circles
@@ -199,10 +653,13 @@ const SentimentApp = {
       .attr('class', 'sentiment-emoji-circle')
       .attr('cursor', 'pointer');
 
+    // 95% interval of the smoothed score, drawn under the circle
+    circlesEnter.append('line').attr('class', 'sentiment-ci');
+
     circlesEnter
       .append('circle')
       .attr('r', 0)
-      .attr('fill', (d) => colorScale(d.sentimentScore))
+      .attr('fill', colorValue)
       .attr('opacity', 0.7)
       .attr('stroke', '#fff')
       .attr('stroke-width', 1);
@@ -216,30 +673,15 @@ const SentimentApp = {
 
     const allCircles = circlesEnter.merge(circles);
 
-    allCircles
-      .transition()
-      .duration(800)
-      .attr(
-        'transform',
-        (d) => `translate(${xScale(d.sentimentScore)},${yScale(d.occurrences)})`
-      );
+    allCircles.select('circle').attr('fill', colorValue);
 
-    allCircles
-      .select('circle')
-      .transition()
-      .duration(800)
-      .attr('r', sizeValue)
-      .attr('fill', (d) => colorScale(d.sentimentScore));
-
-    allCircles
-      .select('text')
-      .transition()
-      .duration(800)
-      .attr('font-size', (d) => Math.max(8, sizeValue(d) * 0.6) + 'px');
+    this.applyZoom(800);
 
     // Hover events
     allCircles
       .on('mouseenter', function (event, d) {
+        const share = (count) => d3.format('.0%')(count / d.occurrences);
+
         d3.select(this)
           .select('circle')
           .transition()
@@ -257,15 +699,32 @@ const SentimentApp = {
               <div class="tooltip-name" style="font-weight: bold; text-align: center;">${
                 d.name
               }</div>
+              <div style="font-size: 0.8em; text-align: center;">${
+                d.block
+              }</div>
               <hr style="margin: 5px 0; border: 0; border-top: 1px solid #555;">
               <div><strong>Occurrences:</strong> ${d.occurrences.toLocaleString()}</div>
-              <div><strong>Sentiment:</strong> ${d.sentimentScore.toFixed(
+              <div><strong>Position in tweet:</strong> ${d.position.toFixed(
+                2
+              )} <span style="font-size: 0.85em;">(0 start, 1 end)</span></div>
+              <div><strong>Sentiment:</strong> ${d.smoothedScore.toFixed(
                 3
-              )}</div>
+              )} <span style="font-size: 0.85em;">(95% CI ${d.scoreLow.toFixed(
+                2
+              )} to ${d.scoreHigh.toFixed(2)})</span></div>
+              <div style="font-size: 0.85em;">Raw score ${d.sentimentScore.toFixed(
+                3
+              )}, smoothed towards the average emoji</div>
               <div style="font-size: 0.8em; margin-top: 5px;">
-                <span style="color: #2ecc71">Pos: ${d.positive}</span> |
-                <span style="color: #95a5a6">Neu: ${d.neutral}</span> |
-                <span style="color: #e74c3c">Neg: ${d.negative}</span>
+                <span style="color: #2ecc71">Pos: ${d.positive} (${share(
+                  d.positive
+                )})</span> |
+                <span style="color: #95a5a6">Neu: ${d.neutral} (${share(
+                  d.neutral
+                )})</span> |
+                <span style="color: #e74c3c">Neg: ${d.negative} (${share(
+                  d.negative
+                )})</span>
               </div>
             `
           )
@@ -283,48 +742,989 @@ const SentimentApp = {
         tooltip.style('opacity', 0);
       });
 
-    this.updateStats(filteredData);
+    this.filteredData = filteredData;
+    this.activeFilters = {
+      sentiment: sentimentFilter,
+      negativeCutoff: this.negativeCutoff,
+      positiveCutoff: this.positiveCutoff,
+      minOccurrences: this.minOccurrences,
+      characters: this.characters,
+      blocks: this.blocks.join(', ') || 'all',
+      view: this.view,
+      layout: this.layout,
+      x: this.xField,
+      xScale: this.xScaleType,
+      y: this.yField,
+      yScale: this.yScaleType,
+      size: this.sizeField,
+      color: this.colorField,
+    };
+    this.searchMatches = this.findMatches(
+      document.getElementById('sentiment-search')?.value || '',
+      filteredData
+    );
+    this.updateMessage();
+    this.applyHighlight();
+    this.updateSummary();
+    this.renderLegend();
+  },
+
+  /**
+   * The rows passing the filter controls
+   */
+  filterRows(sentimentFilter) {
+    const blocks = new Set(this.blocks);
+    return this.data.filter(
+      (d) =>
+        (this.characters === 'all' || d.isEmoji) &&
+        d.occurrences >= this.minOccurrences &&
+        (blocks.size === 0 || blocks.has(d.block)) &&
+        (sentimentFilter === 'all' ||
+          this.sentimentBand(d.smoothedScore) === sentimentFilter)
+    );
+  },
+
+  sentimentBand(score) {
+    if (score > this.positiveCutoff) return 'positive';
+    if (score < this.negativeCutoff) return 'negative';
+    return 'neutral';
+  },
+
+  /**
+   * A log scale can't cross zero, so signed fields fall back to linear
+   */
+  scaleTypeFor(fieldKey, scaleType) {
+    return scaleType === 'log' && this.FIELDS[fieldKey].signed
+      ? 'linear'
+      : scaleType;
+  },
+
+  /**
+   * A scale over a field's plotted values, range still to be set. Signed
+   * fields get a little padding; the others start at zero, or on a log
+   * scale at the smallest positive value, with zeros clamped to the axis.
+   */
+  createScale(fieldKey, scaleType, rows) {
+    const { value, signed } = this.FIELDS[fieldKey];
+    const type = this.scaleTypeFor(fieldKey, scaleType);
+    const scale = this.SCALES[type].create();
+
+    if (signed) {
+      const [min = -1, max = 1] = d3.extent(rows, value);
+      return scale.domain([min - 0.05, max + 0.05]);
+    }
+    const max = d3.max(rows, value) || 1;
+    if (type === 'log') {
+      const positive = rows.map(value).filter((v) => v > 0);
+      return scale.domain([d3.min(positive) || max / 10, max]).clamp(true);
+    }
+    return scale.domain([0, max]);
+  },
+
+  axisLabel(fieldKey, scaleType) {
+    const field = this.FIELDS[fieldKey];
+    const type = this.scaleTypeFor(fieldKey, scaleType);
+    const label = field.axisLabel || field.label;
+    return type === 'linear'
+      ? label
+      : `${label} (${this.SCALES[type].label.toLowerCase()} scale)`;
+  },
+
+  /**
+   * Circle radius per row, 10-40px: by area from zero for most fields,
+   * linearly across the plotted range for signed ones
+   */
+  createSizeValue(rows) {
+    if (this.sizeField === 'none') return () => 16;
+
+    const { value, signed } = this.FIELDS[this.sizeField];
+    const scale = signed
+      ? d3.scaleLinear().domain(d3.extent(rows, value))
+      : d3.scaleSqrt().domain([0, d3.max(rows, value) || 1]);
+    scale.range([10, 40]);
+    return (d) => scale(value(d));
+  },
+
+  colorAccessor() {
+    return this.colorField === 'block'
+      ? (d) => d.block
+      : this.FIELDS[this.colorField].value;
+  },
+
+  /**
+   * Circle colors: a color per Unicode block, red-grey-green for the
+   * sentiment scores, and light to dark blue for everything else
+   */
+  createColorScale(rows) {
+    if (this.colorField === 'block') return this.blockColors;
+
+    const { value, signed, skewed } = this.FIELDS[this.colorField];
+    if (signed) {
+      return d3
+        .scaleLinear()
+        .domain([-1, 0, 1])
+        .range(this.SENTIMENT_COLORS)
+        .clamp(true);
+    }
+    // Skip the palest end, which would vanish on the white plot
+    const interpolate = (t) => d3.interpolateYlGnBu(0.2 + 0.8 * t);
+    return (skewed ? d3.scaleSequentialSqrt : d3.scaleSequential)(
+      interpolate
+    ).domain([0, d3.max(rows, value) || 1]);
+  },
+
+  /**
+   * Colors for the blocks with the most emojis, the rest sharing grey
+   */
+  assignBlockColors(rows) {
+    const blocks = d3
+      .rollups(
+        rows,
+        (v) => v.length,
+        (d) => d.block
+      )
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.BLOCK_COLORS.length - 1)
+      .map(([block]) => block);
+
+    return d3
+      .scaleOrdinal()
+      .domain(blocks)
+      .range(this.BLOCK_COLORS)
+      .unknown(this.BLOCK_COLORS[this.BLOCK_COLORS.length - 1]);
   },
 
-  updateStats(filteredData) {
-    document.getElementById('sentiment-total-emojis').textContent =
-      filteredData.length;
+  /**
+   * Legend entries for the circle colors: the plotted blocks, or the
+   * scale's values at a few ticks
+   */
+  getLegendItems() {
+    if (!this.vizElements?.colorScale) return [];
+    const { colorScale } = this.vizElements;
 
-    const avgSentiment = d3.mean(filteredData, (d) => d.sentimentScore) || 0;
-    document.getElementById('sentiment-avg-score').textContent =
-      avgSentiment.toFixed(3);
+    if (this.colorField === 'block') {
+      const plotted = new Set(this.filteredData.map((d) => d.block));
+      const items = colorScale
+        .domain()
+        .filter((block) => plotted.has(block))
+        .map((block) => ({ label: block, color: colorScale(block) }));
+      if (
+        this.filteredData.some((d) => !colorScale.domain().includes(d.block))
+      ) {
+        items.push({ label: this.OTHER_BLOCKS, color: colorScale.unknown() });
+      }
+      return items;
+    }
+
+    const { signed, skewed } = this.FIELDS[this.colorField];
+    if (signed) {
+      return ['Negative', 'Neutral', 'Positive'].map((name, i) => ({
+        label: `${name} (${i - 1})`,
+        color: this.SENTIMENT_COLORS[i],
+      }));
+    }
+    const format = d3.format(skewed ? ',~s' : '.2~f');
+    return d3.ticks(...colorScale.domain(), 4).map((value) => ({
+      label: format(value),
+      color: colorScale(value),
+    }));
+  },
+
+  renderLegend() {
+    const legend = d3.select('#sentiment-legend');
+    if (legend.empty()) return;
+
+    const title =
+      this.colorField === 'block'
+        ? 'Unicode block'
+        : this.FIELDS[this.colorField].label;
+    legend.selectAll('*').remove();
+    legend
+      .append('span')
+      .attr('class', 'sentiment-legend-title')
+      .text(`Color: ${title}`);
+
+    const items = legend
+      .selectAll('.sentiment-legend-item')
+      .data(this.getLegendItems())
+      .join('span')
+      .attr('class', 'sentiment-legend-item');
+    items
+      .append('span')
+      .attr('class', 'sentiment-legend-swatch')
+      .style('background', (d) => d.color);
+    items.append('span').text((d) => d.label);
+  },
+
+  /**
+   * Plotted emojis whose glyph, Unicode name or Unicode block matches the
+   * query (case-insensitive; glyphs compare by canonical key)
+   */
+  findMatches(query, rows) {
+    const text = query.trim().toLowerCase();
+    if (!text) return new Set();
 
-    const mostUsed = filteredData.length
-      ? filteredData.reduce(
-          (max, d) => (d.occurrences > max.occurrences ? d : max),
-          filteredData[0]
+    const key = EmojiRegistry.toKey(query.trim());
+    return new Set(
+      rows
+        .filter(
+          (d) =>
+            d.key === key ||
+            (d.name || '').toLowerCase().includes(text) ||
+            (d.block || '').toLowerCase().includes(text)
         )
-      : null;
-    document.getElementById('sentiment-most-used').textContent = mostUsed
-      ? mostUsed.emoji
-      : '-';
-
-    const mostPositive = filteredData.length
-      ? filteredData.reduce(
-          (max, d) => (d.sentimentScore > max.sentimentScore ? d : max),
-          filteredData[0]
+        .map((d) => d.emoji)
+    );
+  },
+
+  /**
+   * Highlight the search matches, the message's emojis and the selection,
+   * fading the rest: the non-matches while searching, else the emojis not in
+   * the message, else the unselected emojis
+   */
+  applyHighlight() {
+    if (!this.vizElements) return;
+
+    const { searchMatches, messageMatches, selection } = this;
+    const focus = [searchMatches, messageMatches, selection].find(
+      (set) => set.size > 0
+    );
+    const groups = this.vizElements.plot
+      .selectAll('.sentiment-emoji-circle:not(.exiting)')
+      .classed('search-match', (d) => searchMatches.has(d.emoji))
+      .classed('message-match', (d) => messageMatches.has(d.emoji))
+      .classed('selected', (d) => selection.has(d.emoji))
+      .classed('dimmed', (d) => focus !== undefined && !focus.has(d.emoji));
+
+    // Draw highlighted emojis above the rest
+    groups
+      .filter(
+        (d) =>
+          searchMatches.has(d.emoji) ||
+          messageMatches.has(d.emoji) ||
+          selection.has(d.emoji)
+      )
+      .raise();
+
+    const status = document.getElementById('sentiment-search-status');
+    if (status) {
+      const query = document.getElementById('sentiment-search').value.trim();
+      status.textContent = !query
+        ? ''
+        : searchMatches.size === 0
+          ? 'No plotted emoji matches'
+          : `${searchMatches.size} match${searchMatches.size === 1 ? '' : 'es'}`;
+    }
+  },
+
+  /**
+   * Run the search box query, then zoom to fit the matches
+   */
+  search(query) {
+    this.searchMatches = this.findMatches(query, this.filteredData);
+    this.applyHighlight();
+    if (this.searchMatches.size > 0) this.zoomTo(this.searchMatches);
+  },
+
+  /**
+   * Zoom and pan so the given emojis fill the plot
+   */
+  zoomTo(emojis) {
+    const { svg, zoom, positions, width, height } = this.vizElements;
+    const points = Array.from(emojis, (emoji) => positions.get(emoji)).filter(
+      Boolean
+    );
+    if (points.length === 0) return;
+
+    const padding = 40;
+    const x0 = d3.min(points, (p) => p.x - p.r) - padding;
+    const x1 = d3.max(points, (p) => p.x + p.r) + padding;
+    const y0 = d3.min(points, (p) => p.y - p.r) - padding;
+    const y1 = d3.max(points, (p) => p.y + p.r) + padding;
+    const k = Math.max(
+      1,
+      Math.min(this.SEARCH_MAX_ZOOM, width / (x1 - x0), height / (y1 - y0))
+    );
+
+    svg
+      .transition()
+      .duration(750)
+      .call(
+        zoom.transform,
+        d3.zoomIdentity
+          .translate(width / 2, height / 2)
+          .scale(k)
+          .translate(-(x0 + x1) / 2, -(y0 + y1) / 2)
+      );
+  },
+
+  /**
+   * Select the plotted emojis inside a lasso or rectangle drawn in plot
+   * coordinates. A click without a drag clears the selection.
+   */
+  selectInPolygon(polygon, additive) {
+    const { positions, transform } = this.vizElements;
+    const inside =
+      polygon.length < 3
+        ? []
+        : this.filteredData
+            .filter((d) => {
+              const p = positions.get(d.emoji);
+              return (
+                p && d3.polygonContains(polygon, transform.apply([p.x, p.y]))
+              );
+            })
+            .map((d) => d.emoji);
+
+    this.setSelection(
+      additive ? new Set([...this.selection, ...inside]) : new Set(inside)
+    );
+  },
+
+  /**
+   * Score the message box against the loaded rows and mark its emojis in
+   * the scatter. Symbols count too when the lexicon scores them.
+   */
+  updateMessage() {
+    const input = document.getElementById('sentiment-message-input');
+    if (!input || this.data.length === 0) return;
+
+    const known = new Set(this.data.map((d) => d.key));
+    const found = Analysis.extractEmojis(input.value, (segment) =>
+      known.has(EmojiRegistry.toKey(segment))
+    );
+    const profile = Analysis.profileSentiment(
+      found,
+      this.data,
+      'smoothedScore'
+    );
+    const covered = new Set(profile.contributions.map((d) => d.key));
+    const unknown = found.filter((d) => !covered.has(d.key));
+
+    const plotted = new Set(this.filteredData.map((d) => d.emoji));
+    const matches = profile.contributions.map((d) => d.lexiconEmoji);
+    this.messageMatches = new Set(matches.filter((e) => plotted.has(e)));
+    this.renderMessageResult(
+      found,
+      profile,
+      unknown,
+      matches.length - this.messageMatches.size
+    );
+  },
+
+  /**
+   * Show the message's score, each emoji's pull on it, and the emojis the
+   * lexicon doesn't cover
+   */
+  renderMessageResult(found, profile, unknown, hiddenCount) {
+    const result = d3.select('#sentiment-message-result');
+    result.selectAll('*').remove();
+    if (found.length === 0) {
+      const text = document.getElementById('sentiment-message-input').value;
+      if (text.trim()) result.append('p').text('No emojis in this message.');
+      return;
+    }
+
+    const format = d3.format('+.2f');
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const color = d3
+      .scaleLinear()
+      .domain([-1, 0, 1])
+      .range(this.SENTIMENT_COLORS);
+
+    if (profile.meanSentiment !== null) {
+      const score = result
+        .append('div')
+        .attr('class', 'sentiment-message-score');
+      score
+        .append('span')
+        .attr('class', 'sentiment-message-value')
+        .style('color', color(profile.meanSentiment))
+        .text(format(profile.meanSentiment));
+      score
+        .append('span')
+        .text(
+          `${this.BAND_LABELS[this.sentimentBand(profile.meanSentiment)]}, from ${plural(
+            profile.coveredCount,
+            'emoji'
+          )} (${plural(profile.coveredTotal, 'use')})`
+        );
+    }
+
+    // Bars span the largest pull
+    const maxPull = d3.max(profile.contributions, (d) =>
+      Math.abs(d.contribution)
+    );
+    const items = result
+      .append('ul')
+      .attr('class', 'sentiment-message-list')
+      .selectAll('li')
+      .data(profile.contributions)
+      .enter()
+      .append('li');
+    items
+      .append('span')
+      .attr('class', 'sentiment-message-emoji')
+      .text((d) => d.emoji);
+    items
+      .append('span')
+      .attr('class', 'sentiment-message-detail')
+      .text(
+        (d) =>
+          `×${d.occurrences} · score ${format(d.sentimentScore)} · pulls ${format(
+            d.contribution
+          )}`
+      );
+    items
+      .append('span')
+      .attr('class', 'sentiment-message-bar')
+      .style('width', (d) => `${(Math.abs(d.contribution) / maxPull) * 80}px`)
+      .style('background', (d) => color(d.sentimentScore));
+
+    if (hiddenCount > 0) {
+      result
+        .append('p')
+        .attr('class', 'sentiment-message-note')
+        .text(
+          `${plural(hiddenCount, 'emoji')} from the message ${
+            hiddenCount === 1 ? 'is' : 'are'
+          } hidden by the chart's filters.`
+        );
+    }
+    if (unknown.length > 0) {
+      result
+        .append('p')
+        .attr('class', 'sentiment-message-note')
+        .text(
+          `Not covered by the lexicon: ${unknown
+            .map((d) =>
+              d.occurrences > 1 ? `${d.emoji} ×${d.occurrences}` : d.emoji
+            )
+            .join(' ')}`
+        );
+    }
+  },
+
+  setSelection(selection) {
+    this.selection = selection;
+    this.applyHighlight();
+    this.updateSummary();
+  },
+
+  /**
+   * Interval bars are drawn for every emoji and hidden with CSS
+   */
+  updateIntervalVisibility() {
+    const showIntervals =
+      document.getElementById('sentiment-show-ci')?.checked ?? true;
+    d3.select('#sentiment-visualization').classed('hide-ci', !showIntervals);
+  },
+
+  setTool(tool) {
+    this.tool = tool;
+    $('.sentiment-tool-controls .btn-pill').removeClass('active');
+    $(`.sentiment-tool-controls .btn-pill[data-tool="${tool}"]`).addClass(
+      'active'
+    );
+    d3.select('#sentiment-visualization').classed('selecting', tool !== 'pan');
+  },
+
+  /**
+   * Circle positions in unzoomed pixels: emoji -> { x, y, r }.
+   * The beeswarm starts from the scatter positions and lets a collision
+   * force push circles apart while each is pulled back to its own spot,
+   * more firmly along x, so the x field stays exact-ish and the y field gives.
+   * In the triangle neither direction means more, so both pull alike.
+   */
+  computeLayout(data, xScale, yScale, sizeValue) {
+    const { width, height } = this.vizElements;
+    const xValue = this.FIELDS[this.xField].value;
+    const yValue = this.FIELDS[this.yField].value;
+    const corners = this.ternaryCorners();
+    const nodes = data.map((d) => {
+      const [x, y] =
+        this.view === 'ternary'
+          ? this.ternaryPoint(d, corners)
+          : [xScale(xValue(d)), yScale(yValue(d))];
+      return { emoji: d.emoji, targetX: x, targetY: y, x, y, r: sizeValue(d) };
+    });
+    const [pullX, pullY] = this.view === 'ternary' ? [0.1, 0.1] : [0.3, 0.02];
+
+    if (this.layout === 'swarm') {
+      const area = d3.sum(nodes, (d) => Math.PI * d.r * d.r);
+      const shrink = Math.min(
+        1,
+        Math.sqrt((this.SWARM_MAX_DENSITY * width * height) / area)
+      );
+      nodes.forEach((d) => (d.r *= shrink));
+
+      const simulation = d3
+        .forceSimulation(nodes)
+        .force('x', d3.forceX((d) => d.targetX).strength(pullX))
+        .force('y', d3.forceY((d) => d.targetY).strength(pullY))
+        .force(
+          'collide',
+          d3
+            .forceCollide((d) => d.r + 1)
+            .strength(1)
+            .iterations(3)
         )
-      : null;
-    document.getElementById('sentiment-most-positive').textContent =
-      mostPositive ? mostPositive.emoji : '-';
+        .stop();
+
+      for (let i = 0; i < this.SWARM_TICKS; i++) {
+        simulation.tick();
+        // Keep circle centers inside the plot
+        nodes.forEach((d) => {
+          d.x = Math.max(0, Math.min(width, d.x));
+          d.y = Math.max(0, Math.min(height, d.y));
+        });
+      }
+    }
+
+    return new Map(nodes.map((d) => [d.emoji, { x: d.x, y: d.y, r: d.r }]));
   },
 
-  attachEventListeners() {
-    // Use jQuery events to support Select2
-    $('#sentiment-filter').on('change', () => this.updateVisualization());
+  /**
+   * Corners of the composition triangle in unzoomed pixels: the largest
+   * equilateral triangle that fits the plot, leaving room for its labels
+   */
+  ternaryCorners() {
+    const { width, height } = this.vizElements;
+    const padding = 30;
+    const side = Math.min(
+      width - 2 * padding,
+      ((height - 2 * padding) * 2) / Math.sqrt(3)
+    );
+    const top = (height - (side * Math.sqrt(3)) / 2) / 2;
+    const bottom = height - top;
+    return {
+      negative: [width / 2 - side / 2, bottom],
+      neutral: [width / 2, top],
+      positive: [width / 2 + side / 2, bottom],
+    };
+  },
+
+  /**
+   * Place a row by its share of negative, neutral and positive uses: each
+   * share pulls the point towards its corner
+   */
+  ternaryPoint(d, corners) {
+    const total = d3.sum(this.TERNARY_SHARES, (key) => d[key]) || 1;
+    return [0, 1].map((axis) =>
+      d3.sum(
+        this.TERNARY_SHARES,
+        (key) => (d[key] / total) * corners[key][axis]
+      )
+    );
+  },
 
-    // Checkbox event listener
-    const filterRareCheckbox = document.getElementById('sentiment-filter-rare');
-    if (filterRareCheckbox) {
-      filterRareCheckbox.addEventListener('change', () =>
-        this.updateVisualization()
+  /**
+   * Draw the triangle, its 20% gridlines and labels for the current zoom.
+   * A gridline holds one share fixed, running between the two edges where
+   * one of the other shares is zero.
+   */
+  renderTernaryGrid() {
+    const { ternaryGrid, transform } = this.vizElements;
+    const corners = this.ternaryCorners();
+    const point = (shares) =>
+      transform.apply(
+        this.ternaryPoint(
+          { negative: 0, neutral: 0, positive: 0, ...shares },
+          corners
+        )
+      );
+    const [negative, neutral, positive] = this.TERNARY_SHARES;
+    const color = (key) =>
+      this.SENTIMENT_COLORS[this.TERNARY_SHARES.indexOf(key)];
+
+    // Drawn first, so its fill stays under the gridlines
+    const outline = [
+      point({ negative: 1 }),
+      point({ neutral: 1 }),
+      point({ positive: 1 }),
+    ];
+    ternaryGrid
+      .selectAll('.sentiment-ternary-outline')
+      .data([outline])
+      .join('path')
+      .attr('class', 'sentiment-ternary-outline')
+      .attr('d', (d) => `M${d.join('L')}Z`);
+
+    // Going round the triangle, each share is labeled on the edge where the
+    // next share is zero: negative along the bottom, neutral on the
+    // left, positive on the right
+    const lines = this.TERNARY_SHARES.flatMap((key, i) => {
+      const next = this.TERNARY_SHARES[(i + 1) % 3];
+      const previous = this.TERNARY_SHARES[(i + 2) % 3];
+      return this.TERNARY_GRID.map((share) => ({
+        key,
+        share,
+        from: point({ [key]: share, [next]: 1 - share }),
+        to: point({ [key]: share, [previous]: 1 - share }),
+      }));
+    });
+
+    ternaryGrid
+      .selectAll('.sentiment-ternary-gridline')
+      .data(lines)
+      .join('line')
+      .attr('class', 'sentiment-ternary-gridline')
+      .attr('x1', (d) => d.from[0])
+      .attr('y1', (d) => d.from[1])
+      .attr('x2', (d) => d.to[0])
+      .attr('y2', (d) => d.to[1]);
+
+    // Share labels sit just outside the edge they belong to
+    const labelOffset = {
+      negative: [0, 14],
+      neutral: [-8, 0],
+      positive: [8, 0],
+    };
+    ternaryGrid
+      .selectAll('.sentiment-ternary-tick')
+      .data(lines)
+      .join('text')
+      .attr('class', 'sentiment-ternary-tick')
+      .attr('x', (d) => d.to[0] + labelOffset[d.key][0])
+      .attr('y', (d) => d.to[1] + labelOffset[d.key][1])
+      .attr('text-anchor', (d) =>
+        d.key === negative ? 'middle' : d.key === neutral ? 'end' : 'start'
+      )
+      .attr('dominant-baseline', 'central')
+      .attr('fill', (d) => color(d.key))
+      .text((d) => d3.format('.0%')(d.share));
+
+    const cornerLabels = [
+      { key: negative, label: 'All negative', dx: -12, dy: 24, anchor: 'end' },
+      { key: neutral, label: 'All neutral', dx: 0, dy: -14, anchor: 'middle' },
+      { key: positive, label: 'All positive', dx: 12, dy: 24, anchor: 'start' },
+    ];
+    ternaryGrid
+      .selectAll('.sentiment-ternary-corner')
+      .data(cornerLabels)
+      .join('text')
+      .attr('class', 'sentiment-ternary-corner')
+      .attr('x', (d) => point({ [d.key]: 1 })[0] + d.dx)
+      .attr('y', (d) => point({ [d.key]: 1 })[1] + d.dy)
+      .attr('text-anchor', (d) => d.anchor)
+      .attr('fill', (d) => color(d.key))
+      .text((d) => d.label);
+  },
+
+  /**
+   * Place the circles and axes for the current zoom. Zooming is semantic:
+   * positions spread by the full zoom factor, circles grow by its square
+   * root so gaps open up, and emoji glyphs fill more of their circle.
+   */
+  applyZoom(duration = 0) {
+    const {
+      plot,
+      xAxisGroup,
+      yAxisGroup,
+      xScale,
+      yScale,
+      positions,
+      transform,
+    } = this.vizElements;
+    if (!positions) return;
+
+    const { k } = transform;
+    const growth = Math.sqrt(k);
+    const glyphRatio = Math.min(1.2, 0.6 * growth);
+    const radius = (d) => positions.get(d.emoji).r * growth;
+    const transition = (selection) =>
+      duration ? selection.transition().duration(duration) : selection;
+
+    const ternary = this.view === 'ternary';
+    if (ternary) {
+      this.renderTernaryGrid();
+    } else {
+      const x = transform.rescaleX(xScale);
+      const y = transform.rescaleY(yScale);
+      const isLog = (fieldKey, scaleType) =>
+        this.scaleTypeFor(fieldKey, scaleType) === 'log';
+      transition(xAxisGroup).call(
+        isLog(this.xField, this.xScaleType)
+          ? d3.axisBottom(x).ticks(10, '~s')
+          : d3.axisBottom(x).ticks(10)
+      );
+      transition(yAxisGroup).call(
+        isLog(this.yField, this.yScaleType)
+          ? d3.axisLeft(y).ticks(8, '~s')
+          : d3.axisLeft(y).ticks(8)
       );
     }
+
+    const groups = plot.selectAll('.sentiment-emoji-circle:not(.exiting)');
+    if (!duration) {
+      groups.interrupt();
+      groups.selectAll('circle, text').interrupt();
+    }
+
+    transition(groups).attr('transform', (d) => {
+      const position = positions.get(d.emoji);
+      return `translate(${transform.applyX(position.x)},${transform.applyY(
+        position.y
+      )})`;
+    });
+    transition(groups.select('circle')).attr('r', radius);
+    // Intervals run along whichever axis shows the smoothed score
+    const alongX = !ternary && this.xField === 'smoothedScore';
+    const ciScale = alongX
+      ? xScale
+      : !ternary && this.yField === 'smoothedScore'
+        ? yScale
+        : null;
+    const ciOffset = (bound) => (d) =>
+      (ciScale(d[bound]) - ciScale(d.smoothedScore)) * k;
+    const intervals = transition(groups.select('.sentiment-ci')).attr(
+      'display',
+      ciScale ? null : 'none'
+    );
+    if (ciScale) {
+      intervals
+        .attr(alongX ? 'x1' : 'y1', ciOffset('scoreLow'))
+        .attr(alongX ? 'x2' : 'y2', ciOffset('scoreHigh'))
+        .attr(alongX ? 'y1' : 'x1', 0)
+        .attr(alongX ? 'y2' : 'x2', 0);
+    }
+    transition(groups.select('text')).attr(
+      'font-size',
+      (d) => Math.max(8, radius(d) * glyphRatio) + 'px'
+    );
+  },
+
+  /**
+   * Describe the active filters for exported charts
+   */
+  getExportSubtitle() {
+    const filter = document.getElementById('sentiment-filter');
+    const describe = (fieldKey, scaleType = 'linear') => {
+      const type = this.scaleTypeFor(fieldKey, scaleType);
+      const label = this.FIELDS[fieldKey].label.toLowerCase();
+      return type === 'linear'
+        ? label
+        : `${label} (${this.SCALES[type].label.toLowerCase()})`;
+    };
+    const placement =
+      this.view === 'ternary'
+        ? ['position: negative, neutral and positive shares']
+        : [
+            `x: ${describe(this.xField, this.xScaleType)}`,
+            `y: ${describe(this.yField, this.yScaleType)}`,
+          ];
+    const cutoff = d3.format('+.2f');
+    const band = {
+      all: '',
+      positive: ` (score > ${cutoff(this.positiveCutoff)})`,
+      neutral: ` (${cutoff(this.negativeCutoff)} to ${cutoff(
+        this.positiveCutoff
+      )})`,
+      negative: ` (score < ${cutoff(this.negativeCutoff)})`,
+    }[filter.value];
+    const filters = [
+      filter.options[filter.selectedIndex].text + band,
+      this.CHARACTERS[this.characters].toLowerCase(),
+    ];
+    if (this.blocks.length > 0) filters.push(this.blocks.join(', '));
+    if (this.minOccurrences > 1) {
+      filters.push(`at least ${this.minOccurrences.toLocaleString()} uses`);
+    }
+    const parts = [
+      ...filters,
+      [
+        ...placement,
+        `size: ${this.sizeField === 'none' ? 'equal' : describe(this.sizeField)}`,
+        `color: ${this.colorField === 'block' ? 'Unicode block' : describe(this.colorField)}`,
+      ].join(', '),
+    ];
+    if (
+      document.getElementById('sentiment-show-ci')?.checked &&
+      this.view !== 'ternary' &&
+      [this.xField, this.yField].includes('smoothedScore')
+    ) {
+      parts.push('bars: 95% intervals');
+    }
+    if (this.layout === 'swarm') parts.push('beeswarm layout');
+    return parts.join(' · ');
+  },
+
+  /**
+   * The plotted rows with their computed sentiment score, for data export
+   */
+  getExportData() {
+    return DataExport.createDataset(
+      {
+        title: 'Global Emoji Sentiment Explorer',
+        filters: this.activeFilters,
+        sources: [DataLoader.SENTIMENT_DATA_URL],
+      },
+      [
+        'emoji',
+        'key',
+        'name',
+        'block',
+        'occurrences',
+        'position',
+        'negative',
+        'neutral',
+        'positive',
+        'sentimentScore',
+        'smoothedScore',
+        'scoreLow',
+        'scoreHigh',
+      ],
+      this.filteredData
+    );
+  },
+
+  /**
+   * Summarize the selection, or every plotted emoji when nothing is selected
+   */
+  updateSummary() {
+    const hasSelection = this.selection.size > 0;
+    const rows = hasSelection
+      ? this.filteredData.filter((d) => this.selection.has(d.emoji))
+      : this.filteredData;
+    const setText = (id, text) =>
+      (document.getElementById(id).textContent = text);
+    const format = (value) => (value === undefined ? '-' : value.toFixed(3));
+
+    setText(
+      'sentiment-summary-title',
+      !hasSelection
+        ? 'All plotted emojis'
+        : rows.length === this.selection.size
+          ? `Selection: ${rows.length} emoji${rows.length === 1 ? '' : 's'}`
+          : `Selection: ${rows.length} of ${this.selection.size} emojis (the rest are filtered out)`
+    );
+    document.getElementById('sentiment-clear-selection').hidden = !hasSelection;
+
+    setText('sentiment-total-emojis', rows.length);
+    setText(
+      'sentiment-avg-score',
+      format(d3.mean(rows, (d) => d.smoothedScore))
+    );
+
+    // Each use counts once, so frequent emojis weigh more
+    const totalUses = d3.sum(rows, (d) => d.occurrences);
+    setText(
+      'sentiment-weighted-score',
+      format(
+        totalUses > 0
+          ? d3.sum(rows, (d) => d.smoothedScore * d.occurrences) / totalUses
+          : undefined
+      )
+    );
+
+    // Ties (common among rare emojis) go to the more used emoji
+    const bySentiment = (a, b) =>
+      a.smoothedScore - b.smoothedScore || a.occurrences - b.occurrences;
+    const mostPositive = d3.greatest(rows, bySentiment);
+    const mostNegative = d3.least(
+      rows,
+      (a, b) =>
+        a.smoothedScore - b.smoothedScore || b.occurrences - a.occurrences
+    );
+    setText('sentiment-most-positive', mostPositive ? mostPositive.emoji : '-');
+    setText('sentiment-most-negative', mostNegative ? mostNegative.emoji : '-');
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#sentiment-filter').on('change', () => {
+      this.updateVisualization();
+      this.syncUrl();
+    });
+
+    $('#sentiment-view').on('change', (e) => {
+      this.view = e.target.value;
+      this.updateVisualization();
+      this.syncUrl();
+    });
+
+    $('#sentiment-layout').on('change', (e) => {
+      this.layout = e.target.value;
+      this.updateVisualization();
+      this.syncUrl();
+    });
+
+    const encodings = {
+      '#sentiment-x-field': 'xField',
+      '#sentiment-x-scale': 'xScaleType',
+      '#sentiment-y-field': 'yField',
+      '#sentiment-y-scale': 'yScaleType',
+      '#sentiment-size-field': 'sizeField',
+      '#sentiment-color-field': 'colorField',
+    };
+    Object.entries(encodings).forEach(([selector, property]) => {
+      $(selector).on('change', (e) => {
+        this[property] = e.target.value;
+        this.updateVisualization();
+        this.syncUrl();
+      });
+    });
+
+    // Search as you type, once typing pauses
+    $('#sentiment-search').on('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.search(e.target.value), 250);
+    });
+
+    $('.sentiment-tool-controls .btn-pill').on('click', (e) => {
+      this.setTool(e.currentTarget.dataset.tool);
+    });
+
+    // Rescore the message once typing pauses
+    $('#sentiment-message-input').on('input', () => {
+      clearTimeout(this.messageTimer);
+      this.messageTimer = setTimeout(() => {
+        this.updateMessage();
+        this.applyHighlight();
+      }, 250);
+    });
+
+    $('#sentiment-clear-selection').on('click', () => {
+      this.setSelection(new Set());
+    });
+
+    $('#sentiment-show-ci').on('change', () => {
+      this.updateIntervalVisibility();
+      this.syncUrl();
+    });
+
+    $('#sentiment-characters').on('change', (e) => {
+      this.characters = e.target.value;
+      this.updateVisualization();
+      this.syncUrl();
+    });
+
+    $('#sentiment-blocks').on('change', (e) => {
+      this.blocks = $(e.target).val() || [];
+      this.updateVisualization();
+      this.syncUrl();
+    });
+
+    // Sliders redraw once dragging pauses; their labels follow at once
+    const sliders = {
+      '#sentiment-min-uses': (value) =>
+        (this.minOccurrences = this.MIN_USE_STEPS[value]),
+      '#sentiment-negative-cutoff': (value) =>
+        (this.negativeCutoff = parseFloat(value)),
+      '#sentiment-positive-cutoff': (value) =>
+        (this.positiveCutoff = parseFloat(value)),
+    };
+    Object.entries(sliders).forEach(([selector, apply]) => {
+      $(selector).on('input', (e) => {
+        apply(e.target.value);
+        this.updateSliderLabels();
+        clearTimeout(this.sliderTimer);
+        this.sliderTimer = setTimeout(() => {
+          this.updateVisualization();
+          this.syncUrl();
+        }, 250);
+      });
+    });
   },
 };
 
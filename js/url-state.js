@@ -0,0 +1,91 @@
+/**
+ * URL State Module
+ * Serializes explorer state into the URL hash so views can be shared,
+ * survive a reload, and step through history with back/forward
+ */
+
+const UrlState = {
+  listeners: [],
+  // True while listeners apply a history entry (suppresses writes)
+  restoring: false,
+  initialized: false,
+  // Hash of the last entry written or restored, to skip duplicate events
+  lastHash: null,
+
+  /**
+   * Current hash parameters as a plain object of strings
+   */
+  read() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return Object.fromEntries(params.entries());
+  },
+
+  /**
+   * Merge state into the hash. Keys set to null, undefined or '' are removed.
+   * Pushes a history entry unless `replace` is set or nothing changed.
+   */
+  update(patch, { replace = false } = {}) {
+    if (this.restoring) return;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    Object.entries(patch).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '') {
+        params.delete(key);
+      } else {
+        params.set(key, value);
+      }
+    });
+
+    const hash = params.toString();
+    if (hash === window.location.hash.slice(1)) return;
+    this.lastHash = hash;
+
+    const url = `${window.location.pathname}${window.location.search}${
+      hash ? '#' + hash : ''
+    }`;
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  },
+
+  /**
+   * Register a callback run with the parsed state on back/forward.
+   * Callbacks may be async; writes are suppressed until all have settled.
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+
+    if (this.initialized) return;
+    this.initialized = true;
+
+    const restore = async () => {
+      // Back/forward can fire both popstate and hashchange for one step
+      const hash = window.location.hash.slice(1);
+      if (hash === this.lastHash) return;
+      this.lastHash = hash;
+
+      const state = this.read();
+      this.restoring = true;
+      try {
+        await Promise.all(this.listeners.map((listener) => listener(state)));
+      } catch (error) {
+        console.error('Error restoring state from URL:', error);
+      } finally {
+        this.restoring = false;
+      }
+    };
+
+    window.addEventListener('popstate', restore);
+    // Manual edits to the hash don't fire popstate in every browser
+    window.addEventListener('hashchange', restore);
+  },
+
+  /**
+   * Parse a comma-separated list parameter
+   */
+  readList(value) {
+    return value ? value.split(',').filter(Boolean) : [];
+  },
+};
@@ -0,0 +1,460 @@
+/**
+ * Usage Explorer Script
+ * Handles the Context × Platform × Demographics explorer for
+ * data/emoji_usage_dataset.csv
+ */
+
+const UsageExplorer = {
+  DATA_URL: 'data/emoji_usage_dataset.csv',
+  data: [],
+  filters: {
+    emoji: 'all',
+    context: null,
+    platform: null,
+    ageBand: null,
+    gender: null,
+  },
+  tooltip: null,
+
+  // Age bands used by the histogram (upper bound exclusive)
+  AGE_BANDS: [
+    { label: '13-17', min: 13, max: 18 },
+    { label: '18-24', min: 18, max: 25 },
+    { label: '25-34', min: 25, max: 35 },
+    { label: '35-44', min: 35, max: 45 },
+    { label: '45-54', min: 45, max: 55 },
+    { label: '55-64', min: 55, max: 65 },
+  ],
+
+  // Facet panels: filter key, row accessor and container
+  facets: {
+    context: {
+      containerId: 'usage-chart-context',
+      value: (d) => d.context,
+    },
+    platform: {
+      containerId: 'usage-chart-platform',
+      value: (d) => d.platform,
+    },
+    ageBand: {
+      containerId: 'usage-chart-age',
+      value: (d) => d.ageBand,
+      vertical: true,
+    },
+    gender: {
+      containerId: 'usage-chart-gender',
+      value: (d) => d.gender,
+    },
+  },
+
+  init() {
+    console.log('Initializing Usage Explorer...');
+
+    $('#usage-emoji-filter').select2({
+      width: '250px',
+      templateResult: this.formatEmojiOption,
+      templateSelection: this.formatEmojiOption,
+    });
+
+    let tooltip = d3.select('#usage-tooltip');
+    if (tooltip.empty()) {
+      tooltip = d3
+        .select('body')
+        .append('div')
+        .attr('id', 'usage-tooltip')
+        .attr('class', 'tooltip');
+    }
+    this.tooltip = tooltip;
+
+    this.loadData();
+    this.attachEventListeners();
+  },
+
+  loadData() {
+    d3.csv(this.DATA_URL)
+      .then((csvData) => {
+        this.data = DataValidator.validate(csvData, 'usage', this.DATA_URL)
+          .map((d) => ({
+            emoji: d.Emoji,
+            key: EmojiRegistry.toKey(d.Emoji),
+            context: d.Context,
+            platform: d.Platform,
+            age: +d['User Age'],
+            gender: d['User Gender'],
+          }))
+          .map((d) => ({ ...d, ageBand: this.getAgeBand(d.age) }))
+          .filter((d) => d.emoji && d.ageBand);
+
+        console.log('Usage CSV loaded successfully!', this.data.length, 'rows');
+        this.populateEmojiFilter();
+        this.updateVisualization();
+      })
+      .catch((error) => {
+        console.error('Error loading Usage CSV file:', error);
+        const container = document.getElementById('usage-explorer');
+        if (container) {
+          container.innerHTML = `<div style="text-align: center; color: red; padding: 20px;">Error loading data: ${error.message}</div>`;
+        }
+      });
+  },
+
+  /**
+   * Label of the age band containing an age, or null if out of range
+   */
+  getAgeBand(age) {
+    const band = this.AGE_BANDS.find((b) => age >= b.min && age < b.max);
+    return band ? band.label : null;
+  },
+
+  populateEmojiFilter() {
+    const select = document.getElementById('usage-emoji-filter');
+    if (!select) return;
+
+    const counts = d3.rollups(
+      this.data,
+      (v) => v.length,
+      (d) => d.emoji
+    );
+    counts
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([emoji, count]) => {
+        const option = document.createElement('option');
+        option.value = emoji;
+        option.text = `${emoji} (${count})`;
+        select.appendChild(option);
+      });
+  },
+
+  formatEmojiOption(state) {
+    if (!state.id || state.id === 'all') return state.text;
+    return $(`<span style="font-size: 1.2em;">${state.text}</span>`);
+  },
+
+  /**
+   * Rows matching every active filter except the one named in `except`
+   */
+  getFilteredData(except = null) {
+    return this.data.filter((d) => {
+      if (this.filters.emoji !== 'all' && d.emoji !== this.filters.emoji) {
+        return false;
+      }
+      return Object.entries(this.facets).every(
+        ([facet, config]) =>
+          facet === except ||
+          this.filters[facet] === null ||
+          config.value(d) === this.filters[facet]
+      );
+    });
+  },
+
+  /**
+   * Toggle a facet filter (clicking the active bar clears it)
+   */
+  toggleFilter(facet, value) {
+    this.filters[facet] = this.filters[facet] === value ? null : value;
+    this.updateVisualization();
+  },
+
+  resetFilters() {
+    Object.keys(this.facets).forEach((facet) => (this.filters[facet] = null));
+    $('#usage-emoji-filter').val('all').trigger('change.select2');
+    this.filters.emoji = 'all';
+    this.updateVisualization();
+  },
+
+  updateVisualization() {
+    Object.entries(this.facets).forEach(([facet, config]) => {
+      // Each facet is counted with the other facets' filters applied
+      const rows = this.getFilteredData(facet);
+      const groups = d3.group(rows, config.value);
+
+      let keys = Array.from(groups.keys());
+      if (facet === 'ageBand') {
+        keys = this.AGE_BANDS.map((b) => b.label);
+      } else {
+        keys.sort((a, b) => groups.get(b).length - groups.get(a).length);
+      }
+
+      const entries = keys.map((key) => {
+        const values = groups.get(key) || [];
+        return {
+          key: key,
+          count: values.length,
+          share: rows.length ? values.length / rows.length : 0,
+          topEmojis: this.getTopEmojis(values, 3),
+        };
+      });
+
+      this.renderFacetChart(config.containerId, entries, {
+        vertical: config.vertical,
+        activeValue: this.filters[facet],
+        onSelect: (value) => this.toggleFilter(facet, value),
+      });
+    });
+
+    const filteredData = this.getFilteredData();
+    this.renderTopEmojis(filteredData);
+    this.updateActiveFilters();
+    this.updateStats(filteredData);
+  },
+
+  /**
+   * Most frequent emojis among rows, as [{ emoji, count }]
+   */
+  getTopEmojis(rows, n) {
+    return d3
+      .rollups(
+        rows,
+        (v) => v.length,
+        (d) => d.emoji
+      )
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, n)
+      .map(([emoji, count]) => ({ emoji, count }));
+  },
+
+  /**
+   * Bar chart for one facet. Horizontal by default, vertical for histograms.
+   */
+  renderFacetChart(containerId, entries, config = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = '';
+
+    const {
+      vertical = false,
+      activeValue = null,
+      onSelect = () => {},
+      tickFontSize = '13px',
+      showTopEmojis = true,
+    } = config;
+    const tooltip = this.tooltip;
+
+    const margin = vertical
+      ? { top: 10, right: 10, bottom: 40, left: 45 }
+      : { top: 10, right: 80, bottom: 10, left: 90 };
+    const outerWidth = container.clientWidth || 400;
+    const outerHeight = vertical
+      ? 260
+      : Math.max(120, entries.length * 28 + 20);
+    const width = outerWidth - margin.left - margin.right;
+    const height = outerHeight - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', outerHeight)
+      .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const maxCount = d3.max(entries, (d) => d.count) || 1;
+    const band = d3
+      .scaleBand()
+      .domain(entries.map((d) => d.key))
+      .range(vertical ? [0, width] : [0, height])
+      .padding(0.2);
+    const value = d3
+      .scaleLinear()
+      .domain([0, maxCount])
+      .nice()
+      .range(vertical ? [height, 0] : [0, width]);
+
+    if (vertical) {
+      svg
+        .append('g')
+        .attr('transform', `translate(0,${height})`)
+        .call(d3.axisBottom(band))
+        .selectAll('text')
+        .style('font-size', '12px');
+      svg
+        .append('g')
+        .call(d3.axisLeft(value).ticks(5))
+        .selectAll('text')
+        .style('font-size', '11px');
+    } else {
+      svg
+        .append('g')
+        .call(d3.axisLeft(band).tickSize(0))
+        .call((g) => g.select('.domain').remove())
+        .selectAll('text')
+        .style('font-size', tickFontSize);
+    }
+
+    const bars = svg
+      .selectAll('.usage-bar')
+      .data(entries)
+      .enter()
+      .append('g')
+      .attr('class', 'usage-bar')
+      .attr('cursor', 'pointer')
+      .classed('dimmed', (d) => activeValue !== null && d.key !== activeValue);
+
+    bars
+      .append('rect')
+      .attr('x', (d) => (vertical ? band(d.key) : 0))
+      .attr('y', (d) => (vertical ? value(d.count) : band(d.key)))
+      .attr('width', (d) => (vertical ? band.bandwidth() : value(d.count)))
+      .attr('height', (d) =>
+        vertical ? height - value(d.count) : band.bandwidth()
+      )
+      .attr('rx', 3)
+      .attr('fill', (d) => (d.key === activeValue ? '#f39c12' : '#f1c40f'));
+
+    if (!vertical) {
+      // Count and top emojis next to each bar
+      bars
+        .append('text')
+        .attr('class', 'usage-bar-label')
+        .attr('x', (d) => value(d.count) + 6)
+        .attr('y', (d) => band(d.key) + band.bandwidth() / 2)
+        .attr('dominant-baseline', 'central')
+        .style('font-size', '12px')
+        .text((d) =>
+          showTopEmojis
+            ? `${d.count} ${d.topEmojis.map((e) => e.emoji).join('')}`
+            : d.count
+        );
+    }
+
+    bars
+      .on('click', (event, d) => onSelect(d.key))
+      .on('mouseenter', function (event, d) {
+        d3.select(this).select('rect').attr('fill', '#f39c12');
+
+        const topEmoji = d.topEmojis[0];
+        tooltip
+          .style('opacity', 1)
+          .html(
+            `
+              <div class="tooltip-emoji" style="font-size: 2em; text-align: center;">${
+                topEmoji ? topEmoji.emoji : ''
+              }</div>
+              <div class="tooltip-name" style="font-weight: bold; text-align: center;">${
+                d.key
+              }</div>
+              <hr style="margin: 5px 0; border: 0; border-top: 1px solid #555;">
+              <div><strong>Rows:</strong> ${d.count.toLocaleString()}</div>
+              <div><strong>Share:</strong> ${(d.share * 100).toFixed(1)}%</div>
+              <div style="font-size: 0.8em; margin-top: 5px;">
+                Top: ${d.topEmojis
+                  .map((e) => `${e.emoji} ${e.count}`)
+                  .join(' | ')}
+              </div>
+            `
+          )
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 15 + 'px');
+      })
+      .on('mouseleave', function (event, d) {
+        d3.select(this)
+          .select('rect')
+          .attr('fill', d.key === activeValue ? '#f39c12' : '#f1c40f');
+        tooltip.style('opacity', 0);
+      });
+  },
+
+  /**
+   * Top emojis for the current cross-filter. Clicking one filters by it.
+   */
+  renderTopEmojis(filteredData) {
+    const entries = this.getTopEmojis(filteredData, 10).map((e) => ({
+      key: e.emoji,
+      count: e.count,
+      share: filteredData.length ? e.count / filteredData.length : 0,
+      topEmojis: [e],
+    }));
+
+    this.renderFacetChart('usage-chart-emoji', entries, {
+      activeValue: this.filters.emoji === 'all' ? null : this.filters.emoji,
+      tickFontSize: '20px',
+      showTopEmojis: false,
+      // Emoji filter lives in the Select2 control, so route clicks through it
+      onSelect: (emoji) => {
+        const next = this.filters.emoji === emoji ? 'all' : emoji;
+        $('#usage-emoji-filter').val(next).trigger('change');
+      },
+    });
+  },
+
+  /**
+   * List the active filters as removable chips
+   */
+  updateActiveFilters() {
+    const container = document.getElementById('usage-active-filters');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const labels = {
+      emoji: 'Emoji',
+      context: 'Context',
+      platform: 'Platform',
+      ageBand: 'Age',
+      gender: 'Gender',
+    };
+
+    Object.entries(this.filters)
+      .filter(([, value]) => value !== null && value !== 'all')
+      .forEach(([facet, value]) => {
+        const chip = document.createElement('button');
+        chip.className = 'usage-filter-chip';
+        chip.textContent = `${labels[facet]}: ${value} ✕`;
+        chip.onclick = () => {
+          if (facet === 'emoji') {
+            $('#usage-emoji-filter').val('all').trigger('change');
+          } else {
+            this.toggleFilter(facet, value);
+          }
+        };
+        container.appendChild(chip);
+      });
+
+    if (!container.children.length) {
+      container.textContent = 'Click any bar to filter the other charts.';
+    }
+  },
+
+  updateStats(filteredData) {
+    document.getElementById('usage-total-rows').textContent =
+      filteredData.length.toLocaleString();
+
+    const meanAge = d3.mean(filteredData, (d) => d.age);
+    document.getElementById('usage-avg-age').textContent = meanAge
+      ? meanAge.toFixed(1)
+      : '-';
+
+    const topEmoji = this.getTopEmojis(filteredData, 1)[0];
+    document.getElementById('usage-top-emoji').textContent = topEmoji
+      ? topEmoji.emoji
+      : '-';
+
+    const topPlatform = d3
+      .rollups(
+        filteredData,
+        (v) => v.length,
+        (d) => d.platform
+      )
+      .sort((a, b) => b[1] - a[1])[0];
+    document.getElementById('usage-top-platform').textContent = topPlatform
+      ? topPlatform[0]
+      : '-';
+  },
+
+  attachEventListeners() {
+    // Use jQuery events to support Select2
+    $('#usage-emoji-filter').on('change', (e) => {
+      this.filters.emoji = e.target.value;
+      this.updateVisualization();
+    });
+
+    $('#usage-reset-btn').on('click', () => this.resetFilters());
+  },
+};
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.getElementById('usage-explorer')) {
+    UsageExplorer.init();
+  }
+});
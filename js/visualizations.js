@@ -4,6 +4,12 @@
  */
 
 const Visualizations = {
+  // Used to give each chart's clip path a unique id
+  chartCounter: 0,
+  // Rendered country panels (containerId -> { countryCode, ranks }),
+  // linked by highlightCountryEmoji
+  countryPanels: new Map(),
+
   /**
    * Create a multi-line time series chart
    */
@@ -15,8 +21,31 @@ const Visualizations = {
       colors = d3.schemeCategory10,
       granularity = 'day',
       context = { year: 'all', month: 'all' },
+      normalization = 'raw',
+      overview = false, // Brushable overview strip + wheel/drag zoom
+      spikes = false, // Mark each series' `spikes` (see Analysis.detectSpikes)
+      title = allData.map((d) => d.name).join(', '), // Header for exports
+      subtitle = '',
+      exportMeta = {}, // { filters, sources } for the data export header
     } = config;
 
+    // Overview strip sits below the main plot's axis label
+    const overviewHeight = overview ? 50 : 0;
+    const overviewGap = overview ? 30 : 0;
+    const totalHeight = height + overviewGap + overviewHeight;
+
+    // Normalized series carry `value`; raw ones (e.g. spotlight) only `usage`
+    const mode =
+      DataLoader.NORMALIZATION_MODES[normalization] ||
+      DataLoader.NORMALIZATION_MODES.raw;
+    const getValue = (d) => (d.value !== undefined ? d.value : d.usage);
+    // Resampled periods without samples are `missing`, and may have no value
+    const hasValue = (d) => getValue(d) !== null && !isNaN(getValue(d));
+    const isObserved = (d) => hasValue(d) && !d.missing;
+    const formatValue = d3.format(mode.format);
+    const legendLabel = (d) =>
+      d.normalization ? `${d.name}${this.getNormalizationNote(d)}` : d.name;
+
     // Clear existing content
     d3.select(container).selectAll('*').remove();
 
@@ -36,7 +65,7 @@ const Visualizations = {
     const maxTextWidth = allData.length > 0 
       ? Math.max(
           ...allData.map((d) => {
-            tempText.text(d.name);
+            tempText.text(legendLabel(d));
             return tempText.node().getComputedTextLength();
           }),
           200 // minimum width
@@ -59,8 +88,8 @@ const Visualizations = {
       .select(container)
       .append('svg')
       .attr('width', '100%')
-      .attr('height', height)
-      .attr('viewBox', `0 0 ${adjustedWidth} ${height}`)
+      .attr('height', totalHeight)
+      .attr('viewBox', `0 0 ${adjustedWidth} ${totalHeight}`)
       .attr('preserveAspectRatio', 'xMidYMid meet');
 
     const g = svg
@@ -82,9 +111,13 @@ const Visualizations = {
       .domain(d3.extent(flatData, (d) => d.date))
       .range([0, innerWidth]);
 
+    // Z-scores go negative, so only anchor at zero when all values are >= 0
     const y = d3
       .scaleLinear()
-      .domain([0, d3.max(flatData, (d) => d.usage)])
+      .domain([
+        Math.min(0, d3.min(flatData, getValue)),
+        d3.max(flatData, getValue),
+      ])
       .nice()
       .range([innerHeight, 0]);
 
@@ -92,54 +125,19 @@ const Visualizations = {
       .scaleOrdinal(colors)
       .domain(allData.map((d) => d.name));
 
-    // --- Axis Formatting Logic ---
-    let xFormat = '%Y';
-    let xLabel = 'Date';
-
-    if (granularity === 'day') {
-      // Default fallback
-      xFormat = '%b %d';
-
-      if (context.year !== 'all') {
-        // Check if specific month is selected (currently disabled in UI, but logic kept for robustness)
-        const hasMonthFilter = context.month && context.month !== 'all';
-
-        if (hasMonthFilter) {
-          // Specific Month View: Show days (01, 02, ...)
-          xFormat = '%d';
-          const monthName = d3.timeFormat('%B')(
-            new Date(2000, context.month, 1)
-          );
-          xLabel = `Date (${monthName} ${context.year})`;
-        } else {
-          // Specific Year View: Show Months (January, February, ...)
-          xFormat = '%B';
-          xLabel = `Date (${context.year})`;
-        }
-      }
-    } else if (granularity === 'month') {
-      if (context.year !== 'all') {
-        // Specific Year: Show Months
-        xFormat = '%b'; // Jan, Feb
-        xLabel = `Month (${context.year})`;
-      } else {
-        xFormat = '%Y';
-        xLabel = 'Date';
-      }
-    } else {
-      // Yearly
-      xFormat = '%Y';
-      xLabel = 'Year';
-    }
-    // -----------------------------
+    // Axes (tick format adapts to the visible time span)
+    const xAxis = d3.axisBottom(x).ticks(width > 600 ? 8 : 5);
+    const applyXFormat = () => {
+      const { format, label } = this.getTimeAxisFormat(x.domain(), granularity);
+      xAxis.tickFormat(d3.timeFormat(format));
+      return label;
+    };
+    const xLabel = applyXFormat();
 
-    // Axes
-    const xAxis = d3
-      .axisBottom(x)
-      .ticks(width > 600 ? 8 : 5)
-      .tickFormat(d3.timeFormat(xFormat));
-
-    const yAxis = d3.axisLeft(y);
+    const yAxis =
+      normalization === 'raw'
+        ? d3.axisLeft(y)
+        : d3.axisLeft(y).tickFormat(formatValue);
 
     g.append('g')
       .attr('class', 'x-axis')
@@ -149,7 +147,8 @@ const Visualizations = {
     g.append('g').attr('class', 'y-axis').call(yAxis);
 
     // Add axis labels
-    g.append('text')
+    const xLabelText = g
+      .append('text')
       .attr('class', 'axis-label')
       .attr('x', innerWidth / 2)
       .attr('y', innerHeight + 40)
@@ -162,23 +161,58 @@ const Visualizations = {
       .attr('x', -innerHeight / 2)
       .attr('y', -60)
       .style('text-anchor', 'middle')
-      .text('Usage Count');
+      .text(mode.axisLabel);
 
-    // Line generator
+    // Line generator: solid through observed periods, broken at missing ones
+    const curve = granularity === 'year' ? d3.curveLinear : d3.curveMonotoneX;
     const line = d3
       .line()
+      .defined(isObserved)
       .x((d) => x(d.date))
-      .y((d) => y(d.usage))
-      .curve(granularity === 'year' ? d3.curveLinear : d3.curveMonotoneX);
+      .y((d) => y(getValue(d)))
+      .curve(curve);
+
+    // Dashed estimate bridging the missing periods
+    const estimateLine = d3
+      .line()
+      .defined(hasValue)
+      .x((d) => x(d.date))
+      .y((d) => y(getValue(d)))
+      .curve(curve);
+    const hasEstimates = (series) =>
+      series.values.some((d) => d.missing && hasValue(d));
+
+    // Clip lines to the plot area so zoomed-out segments don't overflow
+    const clipId = `chart-clip-${++this.chartCounter}`;
+    svg
+      .append('defs')
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
 
     // Add lines
     const lines = g
+      .append('g')
+      .attr('clip-path', `url(#${clipId})`)
       .selectAll('.line-group')
       .data(allData)
       .enter()
       .append('g')
       .attr('class', 'line-group');
 
+    lines
+      .filter(hasEstimates)
+      .append('path')
+      .attr('class', 'estimate-line')
+      .attr('d', (d) => estimateLine(d.values))
+      .style('fill', 'none')
+      .style('stroke', (d) => colorScale(d.name))
+      .style('stroke-width', 2)
+      .style('stroke-dasharray', '4 4')
+      .style('stroke-opacity', 0.5);
+
     lines
       .append('path')
       .attr('class', 'line')
@@ -188,6 +222,27 @@ const Visualizations = {
       .style('stroke-width', 3)
       .style('stroke-opacity', 0.8);
 
+    // Observed points between two missing periods draw no line segment
+    const sampleDots = lines
+      .selectAll('.sample-dot')
+      .data((series) =>
+        series.values
+          .filter(
+            (d, i, values) =>
+              isObserved(d) &&
+              !(i > 0 && isObserved(values[i - 1])) &&
+              !(i < values.length - 1 && isObserved(values[i + 1]))
+          )
+          .map((d) => ({ ...d, series: series.name }))
+      )
+      .enter()
+      .append('circle')
+      .attr('class', 'sample-dot')
+      .attr('r', 3)
+      .attr('cx', (d) => x(d.date))
+      .attr('cy', (d) => y(getValue(d)))
+      .style('fill', (d) => colorScale(d.series));
+
     // Add legend
     const legend = g
       .selectAll('.legend')
@@ -208,11 +263,40 @@ const Visualizations = {
       .append('text')
       .attr('x', 20)
       .attr('y', 10)
-      .text((d) => d.name)
+      .text(legendLabel)
       .style('font-size', '14px')
       .style('font-family', 'Nunito, sans-serif')
       .attr('alignment-baseline', 'middle');
 
+    if (allData.some(hasEstimates)) {
+      const estimateKey = g
+        .append('g')
+        .attr('class', 'legend-note')
+        .attr(
+          'transform',
+          `translate(${innerWidth + 10},${allData.length * 25 + 5})`
+        );
+
+      estimateKey
+        .append('line')
+        .attr('x2', 12)
+        .attr('y1', 6)
+        .attr('y2', 6)
+        .style('stroke', '#999')
+        .style('stroke-width', 2)
+        .style('stroke-dasharray', '3 2');
+
+      estimateKey
+        .append('text')
+        .attr('x', 20)
+        .attr('y', 10)
+        .text('Estimated (no samples in period)')
+        .style('font-size', '12px')
+        .style('font-family', 'Nunito, sans-serif')
+        .style('fill', '#999')
+        .attr('alignment-baseline', 'middle');
+    }
+
     // Tooltip interaction
     // Use a shared tooltip or create if missing
     let tooltip = d3.select('body').select('.tooltip');
@@ -269,6 +353,10 @@ const Visualizations = {
 
         if (granularity === 'year') tooltipDateFormat = '%Y';
 
+        if (granularity === 'week') tooltipDateFormat = 'Week of %b %d, %Y';
+
+        if (granularity === 'quarter') tooltipDateFormat = 'Q%q %Y';
+
         // Refine tooltip format based on context if needed
         if (context.year !== 'all' && context.month !== 'all')
           tooltipDateFormat = '%A, %B %d'; // Show Day of week if zoomed in
@@ -296,6 +384,20 @@ const Visualizations = {
               )(d.date)}</strong></div>`;
             }
 
+            // Missing periods show their estimate, or nothing to show
+            let valueHtml =
+              '<span style="font-weight: 400; color: #999;">no samples</span>';
+            if (hasValue(d)) {
+              valueHtml =
+                normalization === 'raw'
+                  ? d.usage.toLocaleString()
+                  : `${formatValue(getValue(d))} <span style="font-weight: 400; color: #999;">(${d.usage.toLocaleString()})</span>`;
+              if (d.missing) {
+                valueHtml +=
+                  ' <span style="font-weight: 400; color: #999;">est.</span>';
+              }
+            }
+
             tooltipHtml += `
                         <div style="display: flex; align-items: center; margin-bottom: 4px;">
                             <span style="color:${colorScale(
@@ -304,10 +406,12 @@ const Visualizations = {
                             <span style="margin-right: 8px;">${
                               dataset.name
                             }:</span>
-                            <strong style="margin-left: auto;">${d.usage.toLocaleString()}</strong>
+                            <strong style="margin-left: auto;">${valueHtml}</strong>
                         </div>`;
 
-            return `translate(${x(d.date)},${y(d.usage)})`;
+            return hasValue(d)
+              ? `translate(${x(d.date)},${y(getValue(d))})`
+              : 'translate(-100,-100)';
           } else {
             return 'translate(-100,-100)';
           }
@@ -324,9 +428,329 @@ const Visualizations = {
         focusDots.style('opacity', 0);
       });
 
+    // Spike markers (drawn above the overlay so they receive hover events)
+    const spikeMarkers = spikes
+      ? this.addSpikeMarkers(g, {
+          allData,
+          x,
+          y,
+          getValue,
+          colorScale,
+          tooltip,
+        })
+      : null;
+
+    if (overview) {
+      this.addOverviewBrush(g, {
+        x,
+        allData,
+        getValue,
+        colorScale,
+        curve: line.curve(),
+        defined: hasValue,
+        overlay,
+        innerWidth,
+        top: innerHeight + margin.bottom + 10, // Gap below leaves room for its axis
+        height: overviewHeight,
+        onRescale: () => {
+          xLabelText.text(applyXFormat());
+          g.select('.x-axis').call(xAxis);
+          lines.select('.line').attr('d', (d) => line(d.values));
+          lines
+            .select('.estimate-line')
+            .attr('d', (d) => estimateLine(d.values));
+          sampleDots.attr('cx', (d) => x(d.date));
+          if (spikeMarkers) spikeMarkers.reposition();
+        },
+      });
+    }
+
+    // The legend is part of the SVG, so the export only needs a header
+    ChartExport.addControls(svg.node().parentNode, {
+      title,
+      subtitle,
+      data: () =>
+        DataExport.fromSeries(allData, {
+          title,
+          filters: { granularity, normalization, ...exportMeta.filters },
+          sources: exportMeta.sources,
+        }),
+    });
+
     return svg;
   },
 
+  /**
+   * Add labeled markers for detected spikes. Each spike is drawn on the
+   * plotted point whose period contains it (e.g. its month when aggregated).
+   * Returns { reposition } to call after the x scale changes.
+   */
+  addSpikeMarkers(g, options) {
+    const { allData, x, y, getValue, colorScale, tooltip } = options;
+    const bisectDate = d3.bisector((d) => d.date).right;
+    const formatDate = d3.timeFormat('%b %d, %Y');
+    const formatLabel = d3.timeFormat("%b '%y");
+
+    // One marker per plotted point: the strongest spike in that period
+    const markerData = allData.flatMap((series) => {
+      const byPoint = new Map();
+      (series.spikes || []).forEach((spike) => {
+        const idx = bisectDate(series.values, spike.date) - 1;
+        const point = series.values[Math.max(0, idx)];
+        const existing = point && byPoint.get(point);
+        if (point && (!existing || spike.score > existing.spike.score)) {
+          byPoint.set(point, { spike, point, series });
+        }
+      });
+      return Array.from(byPoint.values());
+    });
+
+    const markers = g
+      .append('g')
+      .attr('class', 'spike-markers')
+      .selectAll('.spike-marker')
+      .data(markerData)
+      .enter()
+      .append('g')
+      .attr('class', 'spike-marker')
+      .style('cursor', 'help');
+
+    markers
+      .append('path')
+      .attr('d', d3.symbol(d3.symbolTriangle, 90)())
+      .attr('transform', 'translate(0,-12) rotate(180)')
+      .style('fill', (d) => colorScale(d.series.name))
+      .style('stroke', 'white')
+      .style('stroke-width', 1.5);
+
+    markers
+      .append('text')
+      .attr('class', 'spike-label')
+      .attr('y', -24)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .style('font-family', 'Nunito, sans-serif')
+      .text((d) => formatLabel(d.spike.date));
+
+    markers
+      .on('mouseenter', (event, d) => {
+        tooltip.transition().duration(50).style('opacity', 1);
+        tooltip
+          .html(
+            `
+            <div style="margin-bottom: 8px; border-bottom: 1px solid #eee; padding-bottom: 4px;">
+              <strong>${d.series.emojiChar || ''} ${d.series.name} spike</strong>
+            </div>
+            <div><strong>Date:</strong> ${formatDate(d.spike.date)}</div>
+            <div><strong>Usage:</strong> ${d.spike.usage.toLocaleString()}</div>
+            <div><strong>Magnitude:</strong> ${d3.format(',.1f')(
+              d.spike.ratio
+            )}× the rolling median (${Math.round(
+              d.spike.baseline
+            ).toLocaleString()})</div>
+            <div style="font-size: 0.8em; margin-top: 5px; color: #999;">
+              Robust z-score: ${d.spike.score.toFixed(1)}
+            </div>
+          `
+          )
+          .style('left', event.pageX + 20 + 'px')
+          .style('top', event.pageY - 20 + 'px');
+      })
+      .on('mouseleave', () => {
+        tooltip.transition().duration(200).style('opacity', 0);
+      });
+
+    // Not clipped (labels rise above the plot), so hide markers zoomed out of view
+    const reposition = () => {
+      const [start, end] = x.domain();
+      markers
+        .style('display', (d) =>
+          d.point.date < start || d.point.date > end ? 'none' : null
+        )
+        .attr(
+          'transform',
+          (d) => `translate(${x(d.point.date)},${y(getValue(d.point))})`
+        );
+    };
+    reposition();
+
+    return { reposition };
+  },
+
+  /**
+   * Add a brushable overview strip below a time series chart, and wheel/drag
+   * zoom on the main plot. Brush and zoom are kept in sync; `x` is rescaled
+   * in place and `onRescale` redraws whatever depends on it.
+   */
+  addOverviewBrush(g, options) {
+    const {
+      x,
+      allData,
+      getValue,
+      colorScale,
+      curve,
+      defined = () => true,
+      overlay,
+      innerWidth,
+      top,
+      height,
+      onRescale,
+    } = options;
+
+    const xFull = x.copy();
+    const yOverview = d3
+      .scaleLinear()
+      .domain([
+        Math.min(
+          0,
+          d3.min(allData, (s) => d3.min(s.values, getValue))
+        ),
+        d3.max(allData, (s) => d3.max(s.values, getValue)),
+      ])
+      .range([height, 0]);
+
+    const strip = g
+      .append('g')
+      .attr('class', 'overview')
+      .attr('transform', `translate(0,${top})`);
+
+    const overviewLine = d3
+      .line()
+      .defined(defined)
+      .x((d) => xFull(d.date))
+      .y((d) => yOverview(getValue(d)))
+      .curve(curve);
+
+    strip
+      .selectAll('.overview-line')
+      .data(allData)
+      .enter()
+      .append('path')
+      .attr('class', 'overview-line')
+      .attr('d', (d) => overviewLine(d.values))
+      .style('fill', 'none')
+      .style('stroke', (d) => colorScale(d.name))
+      .style('stroke-width', 1.5)
+      .style('stroke-opacity', 0.7);
+
+    strip
+      .append('g')
+      .attr('class', 'overview-axis')
+      .attr('transform', `translate(0,${height})`)
+      .call(
+        d3
+          .axisBottom(xFull)
+          .ticks(innerWidth > 600 ? 8 : 5)
+          .tickSizeOuter(0)
+      );
+
+    // Allow zooming down to roughly a two-week window
+    const [start, end] = xFull.domain();
+    const maxZoom = Math.max(1, (end - start) / (14 * 24 * 60 * 60 * 1000));
+
+    const brush = d3
+      .brushX()
+      .extent([
+        [0, 0],
+        [innerWidth, height],
+      ])
+      .on('brush end', (event) => {
+        if (!event.sourceEvent || event.sourceEvent.type === 'zoom') return;
+        const selection = event.selection || xFull.range();
+        const k = Math.min(maxZoom, innerWidth / (selection[1] - selection[0]));
+        overlay.call(
+          zoom.transform,
+          d3.zoomIdentity.scale(k).translate(-selection[0], 0)
+        );
+      });
+
+    const zoom = d3
+      .zoom()
+      .scaleExtent([1, maxZoom])
+      .translateExtent([
+        [0, 0],
+        [innerWidth, 0],
+      ])
+      .extent([
+        [0, 0],
+        [innerWidth, 0],
+      ])
+      .on('zoom', (event) => {
+        x.domain(event.transform.rescaleX(xFull).domain());
+        onRescale();
+
+        if (event.sourceEvent && event.sourceEvent.type === 'brush') return;
+        // Mirror wheel/drag zoom in the brush (cleared when fully zoomed out)
+        brushGroup.call(
+          brush.move,
+          event.transform.k === 1 ? null : x.domain().map(xFull)
+        );
+      });
+
+    const brushGroup = strip.append('g').attr('class', 'brush').call(brush);
+
+    // Double-click resets instead of zooming in further
+    overlay
+      .call(zoom)
+      .on('dblclick.zoom', () =>
+        overlay.transition().duration(500).call(zoom.transform, d3.zoomIdentity)
+      );
+  },
+
+  /**
+   * Pick the x-axis tick format and label for the visible time span
+   */
+  getTimeAxisFormat(domain, granularity) {
+    if (granularity === 'year') return { format: '%Y', label: 'Year' };
+
+    const [start, end] = domain;
+    const days = (end - start) / (24 * 60 * 60 * 1000);
+    const sameYear = start.getFullYear() === end.getFullYear();
+    const unit =
+      { week: 'Week', month: 'Month', quarter: 'Quarter' }[granularity] ||
+      'Date';
+
+    if (sameYear) {
+      // Within one calendar year: months, or days for short windows
+      return {
+        format:
+          days > 62
+            ? granularity === 'month' || granularity === 'quarter'
+              ? '%b'
+              : '%B'
+            : '%b %d',
+        label: `${unit} (${start.getFullYear()})`,
+      };
+    }
+
+    if (days > 3 * 365) return { format: '%Y', label: 'Date' };
+
+    const spanFormat = d3.timeFormat('%b %Y');
+    return {
+      format: days > 62 ? '%b %Y' : '%b %d',
+      label: `${unit} (${spanFormat(start)} – ${spanFormat(end)})`,
+    };
+  },
+
+  /**
+   * Legend annotation describing how a series was normalized
+   */
+  getNormalizationNote(series) {
+    const stats = series.normalization;
+    const count = d3.format('.3~s');
+
+    switch (stats.mode) {
+      case 'indexed':
+        return stats.base ? ` (100 = ${count(stats.base)})` : '';
+      case 'minmax':
+        return ` (${count(stats.min)}–${count(stats.max)})`;
+      case 'zscore':
+        return ` (μ ${count(stats.mean)}, σ ${count(stats.deviation)})`;
+      default:
+        return '';
+    }
+  },
+
   /**
    * Render Emoji Grid
    */
@@ -496,11 +920,21 @@ const Visualizations = {
 
   /**
    * Render Country Comparison Chart (Vertical Bar Chart)
+   * options.yMax: shared y-axis maximum for small multiples
+   * options.sources: export sources when the data is not a country file
    */
-  renderCountryChart(containerId, data, countryCode) {
+  renderCountryChart(containerId, data, countryCode, options = {}) {
+    const {
+      title = `Top 20 emojis (${countryCode})`,
+      subtitle = '',
+      yMax = null,
+      sources = [DataLoader.getCountryDataPath(countryCode)],
+    } = options;
     const container = document.getElementById(containerId);
     if (!container) return;
 
+    this.registerCountryPanel(containerId, data, countryCode);
+
     // Clear previous
     container.innerHTML = '';
 
@@ -530,7 +964,7 @@ const Visualizations = {
 
     const y = d3
       .scaleLinear()
-      .domain([0, d3.max(displayData, (d) => d.occurrences)])
+      .domain([0, yMax || d3.max(displayData, (d) => d.occurrences)])
       .nice()
       .range([height, 0]);
 
@@ -541,7 +975,8 @@ const Visualizations = {
       .attr('transform', `translate(0,${height})`)
       .call(d3.axisBottom(x))
       .selectAll('text')
-      .style('font-size', '20px')
+      // Shrink the emoji labels to fit narrow grid panels
+      .style('font-size', `${Math.min(20, Math.floor(x.bandwidth()))}px`)
       .attr('dy', '0.8em');
 
     // Y Axis
@@ -563,6 +998,15 @@ const Visualizations = {
       .style('fill', 'var(--text-light)')
       .text('Total Uses');
 
+    // Rank of the emoji hovered in another panel
+    svg
+      .append('text')
+      .attr('class', 'country-hover-note')
+      .attr('x', width)
+      .attr('y', -6)
+      .style('text-anchor', 'end')
+      .style('font-size', '12px');
+
     // Bars
     svg
       .selectAll('.bar')
@@ -575,8 +1019,9 @@ const Visualizations = {
       .attr('width', x.bandwidth())
       .attr('height', (d) => height - y(d.occurrences))
       .attr('fill', '#f1c40f') // Primary Yellow
-      .on('mouseenter', function (event, d) {
-        d3.select(this).attr('fill', '#f39c12'); // Darker Orange on hover
+      .on('mouseenter', (event, d) => {
+        d3.select(event.currentTarget).attr('fill', '#f39c12'); // Darker Orange on hover
+        this.highlightCountryEmoji(d);
 
         // Tooltip
         let tooltip = d3.select('body').select('.tooltip');
@@ -601,13 +1046,260 @@ const Visualizations = {
           .style('left', event.pageX + 10 + 'px')
           .style('top', event.pageY - 28 + 'px');
       })
-      .on('mouseleave', function () {
-        d3.select(this).attr('fill', '#f1c40f');
+      .on('mouseleave', (event) => {
+        d3.select(event.currentTarget).attr('fill', '#f1c40f');
+        this.highlightCountryEmoji(null);
         d3.select('body')
           .select('.tooltip')
           .transition()
           .duration(200)
           .style('opacity', 0);
       });
+
+    ChartExport.addControls(container, {
+      title,
+      subtitle,
+      data: () =>
+        DataExport.createDataset(
+          {
+            title,
+            filters: { country: countryCode, topN },
+            sources,
+          },
+          ['rank', 'emoji', 'key', 'occurrences'],
+          displayData.map((d, i) => ({ rank: i + 1, ...d }))
+        ),
+    });
+  },
+
+  /**
+   * Render a country's most over- and under-represented emojis
+   * (scores from Analysis.scoreDistinctiveness) as diverging bars.
+   * options.yMax: shared maximum |score| for small multiples
+   */
+  renderDistinctiveChart(containerId, data, scores, countryCode, options = {}) {
+    const {
+      title = `Most distinctive emojis (${countryCode})`,
+      subtitle = '',
+      yMax = null,
+      count = 10, // Emojis shown on each side
+    } = options;
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    this.registerCountryPanel(containerId, data, countryCode);
+    container.innerHTML = '';
+
+    const displayData = this.getDistinctiveBars(scores, count);
+    const colorOf = (d) => (d.score > 0 ? '#f1c40f' : '#74b9ff');
+    const hoverColorOf = (d) => (d.score > 0 ? '#f39c12' : '#0984e3');
+
+    const margin = { top: 20, right: 20, bottom: 60, left: 60 };
+    const width = container.clientWidth - margin.left - margin.right;
+    const height = 400 - margin.top - margin.bottom;
+
+    const svg = d3
+      .select(container)
+      .append('svg')
+      .attr('width', '100%')
+      .attr('height', 400)
+      .attr('viewBox', `0 0 ${width + margin.left + margin.right} ${400}`)
+      .append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3
+      .scaleBand()
+      .domain(displayData.map((d) => d.key))
+      .range([0, width])
+      .padding(0.2);
+
+    const extent = yMax || d3.max(displayData, (d) => Math.abs(d.score)) || 1;
+    const y = d3
+      .scaleLinear()
+      .domain([-extent, extent])
+      .nice()
+      .range([height, 0]);
+
+    // X Axis (Emojis), below the whole plot
+    const emojiOf = new Map(displayData.map((d) => [d.key, d.emoji]));
+    svg
+      .append('g')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(x).tickFormat((key) => emojiOf.get(key)))
+      .selectAll('text')
+      .style('font-size', `${Math.min(20, Math.floor(x.bandwidth()))}px`)
+      .attr('dy', '0.8em');
+
+    // Y Axis
+    svg
+      .append('g')
+      .call(d3.axisLeft(y).ticks(6).tickFormat(d3.format('~s')))
+      .attr('class', 'axis')
+      .selectAll('text')
+      .style('font-size', '12px');
+
+    // Y Label
+    svg
+      .append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('y', -45)
+      .attr('x', -height / 2)
+      .style('text-anchor', 'middle')
+      .style('font-size', '12px')
+      .style('fill', 'var(--text-light)')
+      .text('← less used · Log-odds z-score · more used →');
+
+    // Zero line
+    svg
+      .append('line')
+      .attr('x1', 0)
+      .attr('x2', width)
+      .attr('y1', y(0))
+      .attr('y2', y(0))
+      .attr('stroke', '#b2bec3');
+
+    svg
+      .append('text')
+      .attr('class', 'country-hover-note')
+      .attr('x', width)
+      .attr('y', -6)
+      .style('text-anchor', 'end')
+      .style('font-size', '12px');
+
+    const formatScore = d3.format('+,.1f');
+    const formatShare = d3.format('.2~%');
+
+    svg
+      .selectAll('.bar')
+      .data(displayData)
+      .enter()
+      .append('rect')
+      .attr('class', 'bar')
+      .attr('x', (d) => x(d.key))
+      .attr('y', (d) => y(Math.max(0, d.score)))
+      .attr('width', x.bandwidth())
+      .attr('height', (d) => Math.abs(y(d.score) - y(0)))
+      .attr('fill', colorOf)
+      .on('mouseenter', (event, d) => {
+        d3.select(event.currentTarget).attr('fill', hoverColorOf(d));
+        this.highlightCountryEmoji(d);
+
+        let tooltip = d3.select('body').select('.tooltip');
+        if (tooltip.empty()) {
+          tooltip = d3
+            .select('body')
+            .append('div')
+            .attr('class', 'tooltip')
+            .style('opacity', 0);
+        }
+
+        // Counts of emojis missing from a top-1000 list are upper bounds
+        const countText = d.listed
+          ? `${d.count.toLocaleString()} uses`
+          : `≤ ${d.count.toLocaleString()} uses (not in top 1000)`;
+        tooltip.transition().duration(200).style('opacity', 1);
+        tooltip
+          .html(
+            `
+            <div style="text-align: center;">
+                <div style="font-size: 2em;">${d.emoji}</div>
+                <div><strong>${formatScore(d.score)}</strong> z-score (${d.score > 0 ? 'over' : 'under'}-represented)</div>
+                <div>${countryCode}: ${countText}, ${formatShare(d.share)} of all</div>
+                <div>Other countries: ${d.otherCount.toLocaleString()} uses, ${formatShare(d.baselineShare)} of all</div>
+            </div>
+        `
+          )
+          .style('left', event.pageX + 10 + 'px')
+          .style('top', event.pageY - 28 + 'px');
+      })
+      .on('mouseleave', (event, d) => {
+        d3.select(event.currentTarget).attr('fill', colorOf(d));
+        this.highlightCountryEmoji(null);
+        d3.select('body')
+          .select('.tooltip')
+          .transition()
+          .duration(200)
+          .style('opacity', 0);
+      });
+
+    ChartExport.addControls(container, {
+      title,
+      subtitle,
+      legend: [
+        { label: 'Used more than elsewhere', color: '#f1c40f' },
+        { label: 'Used less than elsewhere', color: '#74b9ff' },
+      ],
+      data: () =>
+        DataExport.createDataset(
+          {
+            title,
+            filters: { country: countryCode, mode: 'distinctive', count },
+            sources: Object.keys(DataLoader.COUNTRIES).map((code) =>
+              DataLoader.getCountryDataPath(code)
+            ),
+          },
+          [
+            'emoji',
+            'key',
+            'score',
+            'logOdds',
+            'count',
+            'listed',
+            'otherCount',
+            'share',
+            'baselineShare',
+          ],
+          displayData
+        ),
+    });
+  },
+
+  /**
+   * The `count` most over- and under-represented emojis, most over first
+   */
+  getDistinctiveBars(scores, count = 10) {
+    return [
+      ...scores.filter((d) => d.score > 0).slice(0, count),
+      ...scores.filter((d) => d.score < 0).slice(-count),
+    ];
+  },
+
+  /**
+   * Ranks over a country's full list, so linked hover can report emojis
+   * outside the panel's bars
+   */
+  registerCountryPanel(containerId, data, countryCode) {
+    this.countryPanels.set(containerId, {
+      countryCode,
+      ranks: new Map(data.map((d, i) => [d.key, { ...d, rank: i + 1 }])),
+    });
+  },
+
+  /**
+   * Highlight one emoji's bar in every country panel and show its rank
+   * there (or that it is unranked); pass null to clear
+   */
+  highlightCountryEmoji(emoji) {
+    const key = emoji ? emoji.key : null;
+
+    this.countryPanels.forEach((panel, containerId) => {
+      const container = document.getElementById(containerId);
+      if (!container) {
+        this.countryPanels.delete(containerId);
+        return;
+      }
+
+      const chart = d3.select(container).classed('has-highlight', !!emoji);
+      chart.selectAll('.bar').classed('linked', (d) => d.key === key);
+
+      const match = emoji ? panel.ranks.get(key) : null;
+      let note = '';
+      if (match) {
+        note = `${match.emoji} #${match.rank} · ${d3.format('.3s')(match.occurrences)} uses`;
+      } else if (emoji) {
+        note = `${emoji.emoji} not ranked in ${panel.countryCode}`;
+      }
+      chart.select('.country-hover-note').text(note);
+    });
   },
 };
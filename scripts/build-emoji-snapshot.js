@@ -0,0 +1,118 @@
+/**
+ * Emoji Metadata Snapshot Builder
+ * Writes the trimmed emoji-datasource snapshot used by DataLoader when the
+ * CDN is unreachable.
+ *
+ * Usage:
+ *   node scripts/build-emoji-snapshot.js [version] [path/to/emoji.json]
+ *
+ * Without a path, emoji.json is downloaded from unpkg for the given version.
+ * The version defaults to DataLoader.EMOJI_DATASOURCE_VERSION, so the
+ * snapshot, the CDN fallback and the platform images stay on one release.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The release pinned in js/data-loader.js (a browser script, so it is read
+ * as text rather than required)
+ */
+function pinnedVersion() {
+  const source = fs.readFileSync(
+    path.join(__dirname, '..', 'js', 'data-loader.js'),
+    'utf8'
+  );
+  const match = source.match(/EMOJI_DATASOURCE_VERSION: '([^']+)'/);
+  if (!match) throw new Error('EMOJI_DATASOURCE_VERSION not found');
+  return match[1];
+}
+
+const version = process.argv[2] || pinnedVersion();
+const sourcePath = process.argv[3];
+const outputPath = path.join(
+  __dirname,
+  '..',
+  'data',
+  'emoji-datasource-snapshot.json'
+);
+
+// Only the fields the app reads are kept to keep the bundle small
+const IMAGE_FLAGS = [
+  'has_img_apple',
+  'has_img_google',
+  'has_img_twitter',
+  'has_img_facebook',
+];
+
+function pick(source, keys) {
+  const result = {};
+  keys.forEach((key) => {
+    if (source[key] !== undefined && source[key] !== null) {
+      result[key] = source[key];
+    }
+  });
+  return result;
+}
+
+function trimEmoji(meta) {
+  const trimmed = pick(meta, [
+    'name',
+    'unified',
+    'non_qualified',
+    'short_name',
+    'short_names',
+    'category',
+    'subcategory',
+    'sort_order',
+    'added_in',
+    ...IMAGE_FLAGS,
+  ]);
+
+  if (meta.skin_variations) {
+    trimmed.skin_variations = {};
+    Object.entries(meta.skin_variations).forEach(([tone, variation]) => {
+      trimmed.skin_variations[tone] = pick(variation, [
+        'unified',
+        'non_qualified',
+        ...IMAGE_FLAGS,
+      ]);
+    });
+  }
+
+  return trimmed;
+}
+
+async function loadSource() {
+  if (sourcePath) {
+    return JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  }
+
+  const url = `https://unpkg.com/emoji-datasource@${version}/emoji.json`;
+  console.log(`Downloading ${url}...`);
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to download ${url}`);
+  return response.json();
+}
+
+async function main() {
+  const emojis = await loadSource();
+
+  const snapshot = {
+    source: 'emoji-datasource',
+    version: version,
+    generated: new Date().toISOString().slice(0, 10),
+    count: emojis.length,
+    emojis: emojis.map(trimEmoji),
+  };
+
+  fs.writeFileSync(outputPath, JSON.stringify(snapshot));
+  console.log(
+    `Wrote ${snapshot.count} emojis (emoji-datasource ${version}) to ${outputPath}`
+  );
+}
+
+main().catch((error) => {
+  console.error('Error building emoji snapshot:', error);
+  process.exit(1);
+});